@@ -0,0 +1,77 @@
+/**
+ * Service worker that turns chunks posted by the page into a file download,
+ * for browsers without the File System Access API. The page registers a
+ * download URL with a MessagePort, then navigates a hidden iframe to it; the
+ * response body pulls one chunk at a time from the port, so nothing is
+ * buffered here.
+ */
+
+const downloads = new Map();
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+const registerDownload = (url, filename, [port, readyPort]) => {
+  let controller = null;
+  let resolvePull = null;
+
+  const stream = new ReadableStream({
+    start(streamController) {
+      controller = streamController;
+    },
+    // Ask the page for the next chunk only once the last one was taken
+    pull() {
+      port.postMessage({ type: 'pull' });
+      return new Promise((resolve) => {
+        resolvePull = resolve;
+      });
+    },
+    cancel() {
+      port.postMessage({ type: 'cancel' });
+      downloads.delete(url);
+    }
+  });
+
+  port.onmessage = ({ data }) => {
+    if (data.type === 'chunk') {
+      controller.enqueue(data.chunk);
+    } else if (data.type === 'end') {
+      controller.close();
+      downloads.delete(url);
+    } else if (data.type === 'abort') {
+      controller.error(new Error('The download was cancelled'));
+      downloads.delete(url);
+    }
+    if (resolvePull) {
+      resolvePull();
+      resolvePull = null;
+    }
+  };
+
+  downloads.set(url, { stream, controller, filename });
+  readyPort.postMessage({ type: 'ready' });
+};
+
+self.addEventListener('message', (event) => {
+  const { type, url, filename } = event.data || {};
+
+  if (type === 'register') {
+    registerDownload(url, filename, event.ports);
+  } else if (type === 'abort' && downloads.has(url)) {
+    downloads.get(url).controller.error(new Error('The download was cancelled'));
+    downloads.delete(url);
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const download = downloads.get(event.request.url);
+  if (!download) return;
+
+  event.respondWith(new Response(download.stream, {
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.filename)}`
+    }
+  }));
+});
@@ -1,39 +1,320 @@
-import React, { useState, useCallback } from 'react'
-import { Upload, Download, FileText, Folder, FolderOpen, File, X, ChevronRight, ChevronDown } from 'lucide-react'
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react'
+import { Download, FileText, Folder, FolderOpen, FolderUp, File, X, ChevronRight, ChevronDown, FileArchive, ArrowLeftRight, ShieldAlert, ShieldCheck, Wand2, Link2, History } from 'lucide-react'
+import { convertZipToStructure } from './utils/zipImport'
+import {
+  collectDataTransferFiles,
+  collectInputFiles,
+  convertFilesToStructure,
+  getDroppedArchive
+} from './utils/folderImport'
+import {
+  isManifest,
+  MAPPING_MODES,
+  MAPPING_MODE_OPTIONS
+} from './utils/conversionEngine'
+import { downloadBlob, formatFileSize } from './utils/converterUtils'
+import { PATH_POLICIES, PATH_POLICY_OPTIONS } from './utils/pathSafety'
+import { formatFileMode } from './utils/fileMetadata'
+import { checkPortability } from './utils/portability'
+import {
+  createConversionWorker,
+  GenerationCancelledError,
+  generateArchiveInWorker,
+  streamArchiveInWorker
+} from './utils/conversionWorker'
+import { isStreamableExport } from './utils/archiveExport'
+import { openDownloadTarget } from './utils/downloadTargets'
+import { ARCHIVE_FORMATS, resolveArchiveFilename } from './utils/exportOptions'
+import { sha256Hex } from './utils/checksums'
+import { collectFolderPaths, findNodeByPath, flattenTree } from './utils/treeRows'
+import {
+  FORMAT_LABELS,
+  INPUT_FORMATS,
+  INPUT_FORMAT_OPTIONS,
+  reserializeStructure,
+  serializeStructure
+} from './utils/structureParser'
+import {
+  addTreeEntry,
+  deleteTreeEntry,
+  duplicateTreeEntry,
+  getUniqueName,
+  moveTreeEntry,
+  renameTreeEntries,
+  renameTreeEntry,
+  setTreeFileContent
+} from './utils/structureEdits'
+import { createHistory, jumpToStep, recordStep } from './utils/editHistory'
+import StructureEditor from './components/StructureEditor'
+import IssueList from './components/IssueList'
+import FolderDropZone from './components/FolderDropZone'
+import ExportDialog from './components/ExportDialog'
+import VirtualTreeList from './components/VirtualTreeList'
+import FileViewer from './components/FileViewer'
+import TreeContextMenu from './components/TreeContextMenu'
+import TreeNameInput from './components/TreeNameInput'
+import HistoryPanel from './components/HistoryPanel'
+import { ResizableHandle, ResizablePanel, ResizablePanelGroup } from './components/ui/resizable'
+import { Popover, PopoverContent, PopoverTrigger } from './components/ui/popover'
+
+// Drag data type for moving entries within the tree
+const TREE_DRAG_TYPE = 'application/x-tree-path'
+
+const parentPathOf = (path) => path.split('/').slice(0, -1).join('/')
+
+// Text fields other than the structure editor keep the browser's own undo
+const isOtherTextField = (element) => (
+  element.isContentEditable ||
+  element.tagName === 'TEXTAREA' ||
+  (element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'file'].includes(element.type))
+)
 
 function App() {
   const [jsonInput, setJsonInput] = useState('')
   const [fileStructure, setFileStructure] = useState(null)
+  const [fileTree, setFileTree] = useState(null)
+  const [treeError, setTreeError] = useState('')
+  const [portabilityProblems, setPortabilityProblems] = useState([])
   const [error, setError] = useState('')
   const [isGenerating, setIsGenerating] = useState(false)
+  const [isExportOpen, setIsExportOpen] = useState(false)
+  const [exportProgress, setExportProgress] = useState(null)
+  const [lastExport, setLastExport] = useState(null)
   const [expandedFolders, setExpandedFolders] = useState(new Set())
+  const [selectedPath, setSelectedPath] = useState(null)
+  const [editingPath, setEditingPath] = useState(null)
+  const [isEditingContent, setIsEditingContent] = useState(false)
+  const [dropTarget, setDropTarget] = useState(null)
+  const [mappingMode, setMappingMode] = useState(MAPPING_MODES.STRUCTURE)
+  const [pathPolicy, setPathPolicy] = useState(PATH_POLICIES.BLOCK)
+  const [executableScripts, setExecutableScripts] = useState(false)
+  const [inputFormat, setInputFormat] = useState(INPUT_FORMATS.AUTO)
+  const [isImporting, setIsImporting] = useState(false)
+  const [importNotice, setImportNotice] = useState(null)
+  const [isDragging, setIsDragging] = useState(false)
+  const [parseError, setParseError] = useState(null)
+  // Auto detection and Markdown fence checks come with the worker's parse
+  const [detectedFormat, setDetectedFormat] = useState(INPUT_FORMATS.YAML)
+  const [unmappedFences, setUnmappedFences] = useState([])
+  const [editHistory, setEditHistory] = useState(() => (
+    createHistory({ label: 'Empty input', text: '', format: INPUT_FORMATS.AUTO })
+  ))
+  const zipInputRef = useRef(null)
+  const folderInputRef = useRef(null)
+  const editorRef = useRef(null)
+  const workerRef = useRef(null)
+  const parseRequestRef = useRef(0)
+  const exportAbortRef = useRef(null)
 
-  const parseJsonToFileStructure = useCallback((jsonData) => {
-    try {
-      const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData
-      return data
-    } catch (err) {
-      throw new Error('Invalid JSON format')
-    }
+  // Parsing and tree building run on a worker so large inputs don't block typing
+  useEffect(() => {
+    const worker = createConversionWorker()
+    workerRef.current = worker
+    return () => worker.terminate()
   }, [])
 
-  const handleJsonInput = useCallback((value) => {
+  const handleJsonInput = useCallback(async (value, format = inputFormat) => {
     setJsonInput(value)
     setError('')
-    
+    setParseError(null)
+    setImportNotice(null)
+
+    const requestId = ++parseRequestRef.current
     if (!value.trim()) {
       setFileStructure(null)
+      setUnmappedFences([])
       return
     }
 
+    const showDetails = ({ detectedFormat, unmapped }) => {
+      setDetectedFormat(detectedFormat)
+      setUnmappedFences(unmapped.map(({ line, language, reason }) => ({
+        path: `Line ${line}${language ? ` (${language})` : ''}`,
+        reason
+      })))
+    }
+
     try {
-      const structure = parseJsonToFileStructure(value)
-      setFileStructure(structure)
+      const result = await workerRef.current.parse(value, format)
+      // Skip results that were overtaken by a newer edit
+      if (!result || requestId !== parseRequestRef.current) return
+      showDetails(result)
+      setFileStructure(result.structure)
     } catch (err) {
+      if (requestId !== parseRequestRef.current) return
+      if (err.details) showDetails(err.details)
       setError(err.message)
+      setParseError(err.parseError || null)
       setFileStructure(null)
     }
-  }, [parseJsonToFileStructure])
+  }, [inputFormat])
+
+  // Replaces the input text as one labelled step of the undo history.
+  // Steps sharing a group, like consecutive keystrokes, merge into one
+  const commitInput = useCallback((text, format, label, group = null) => {
+    setInputFormat(format)
+    setEditHistory(prev => recordStep(prev, { label, text, format, group }))
+    handleJsonInput(text, format)
+  }, [handleJsonInput])
+
+  const handleTextChange = useCallback((value) => {
+    commitInput(value, inputFormat, 'Edited text', 'typing')
+  }, [commitInput, inputFormat])
+
+  const goToHistoryStep = useCallback((index) => {
+    const next = jumpToStep(editHistory, index)
+    if (next === editHistory) return
+
+    const step = next.steps[next.index]
+    setEditHistory(next)
+    setEditingPath(null)
+    setInputFormat(step.format)
+    handleJsonInput(step.text, step.format)
+  }, [editHistory, handleJsonInput])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isExportOpen) return
+
+      const key = e.key.toLowerCase()
+      const isUndo = key === 'z' && !e.shiftKey
+      const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)
+      if (!isUndo && !isRedo) return
+      if (isOtherTextField(e.target) && !editorRef.current?.contains(e.target)) return
+
+      e.preventDefault()
+      goToHistoryStep(editHistory.index + (isUndo ? -1 : 1))
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [editHistory.index, goToHistoryStep, isExportOpen])
+
+  const handleFormatChange = useCallback((e) => {
+    setInputFormat(e.target.value)
+    handleJsonInput(jsonInput, e.target.value)
+  }, [handleJsonInput, jsonInput])
+
+  const effectiveFormat = inputFormat === INPUT_FORMATS.AUTO ? detectedFormat : inputFormat
+
+  // JSON documents convert to YAML; YAML and Markdown bundles convert to JSON
+  const conversionTarget = effectiveFormat === INPUT_FORMATS.JSON || effectiveFormat === INPUT_FORMATS.JSON5
+    ? INPUT_FORMATS.YAML
+    : INPUT_FORMATS.JSON
+
+  const convertInputFormat = useCallback(() => {
+    if (!fileStructure) return
+
+    const targetFormat = conversionTarget
+    const nextFormat = inputFormat === INPUT_FORMATS.AUTO ? INPUT_FORMATS.AUTO : targetFormat
+    commitInput(serializeStructure(fileStructure, targetFormat), nextFormat, `Converted to ${FORMAT_LABELS[targetFormat]}`)
+  }, [fileStructure, conversionTarget, inputFormat, commitInput])
+
+  // Loads an imported structure in the format currently being edited
+  const loadStructure = useCallback((structure, label) => {
+    const nextFormat = inputFormat === INPUT_FORMATS.MARKDOWN ? INPUT_FORMATS.AUTO : inputFormat
+    const textFormat = inputFormat === INPUT_FORMATS.YAML ? INPUT_FORMATS.YAML : INPUT_FORMATS.JSON
+    commitInput(serializeStructure(structure, textFormat), nextFormat, label)
+  }, [inputFormat, commitInput])
+
+  const importZip = useCallback(async (file) => {
+    if (!file) return
+
+    setIsImporting(true)
+    try {
+      const { structure, skipped, verification } = await convertZipToStructure(file)
+      loadStructure(structure, `Imported ${file.name}`)
+      setImportNotice({ source: file.name, skipped, verification })
+    } catch (err) {
+      setError(err.message)
+      setParseError(null)
+    } finally {
+      setIsImporting(false)
+    }
+  }, [loadStructure])
+
+  const importFolder = useCallback(async (collecting) => {
+    setIsImporting(true)
+    try {
+      const collected = await collecting
+      if (collected.files.length === 0 && collected.directories.length === 0) {
+        throw new Error('The selected folder contains no files that can be imported')
+      }
+
+      const { structure, skipped, summary } = await convertFilesToStructure(collected)
+      const source = collected.directories[0] || collected.files[0].path.split('/')[0]
+      loadStructure(structure, `Imported ${source}`)
+      setImportNotice({ source, skipped, summary })
+    } catch (err) {
+      setError(err.message)
+      setParseError(null)
+    } finally {
+      setIsImporting(false)
+    }
+  }, [loadStructure])
+
+  const handleZipSelected = useCallback((e) => {
+    importZip(e.target.files[0])
+    e.target.value = ''
+  }, [importZip])
+
+  const handleFolderSelected = useCallback((e) => {
+    importFolder(collectInputFiles(e.target.files))
+    e.target.value = ''
+  }, [importFolder])
+
+  const handleDragOver = useCallback((e) => {
+    if (!e.dataTransfer.types.includes('Files')) return
+    e.preventDefault()
+    setIsDragging(true)
+  }, [])
+
+  const handleDragLeave = useCallback((e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDragging(false)
+    }
+  }, [])
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault()
+    setIsDragging(false)
+
+    const archive = getDroppedArchive(e.dataTransfer)
+    if (archive) {
+      importZip(archive)
+    } else {
+      importFolder(collectDataTransferFiles(e.dataTransfer))
+    }
+  }, [importZip, importFolder])
+
+  useEffect(() => {
+    if (!fileStructure) {
+      setFileTree(null)
+      setTreeError('')
+      setPortabilityProblems([])
+      return
+    }
+
+    let isCurrent = true
+    workerRef.current.buildTree(fileStructure, { mode: mappingMode, pathPolicy, executableScripts })
+      .then((result) => {
+        if (!result || !isCurrent) return
+        setFileTree(result.tree)
+        setPortabilityProblems(result.portabilityProblems)
+        setTreeError('')
+      })
+      .catch((err) => {
+        if (!isCurrent) return
+        setFileTree(null)
+        setPortabilityProblems([])
+        setTreeError(err.message)
+      })
+    return () => {
+      isCurrent = false
+    }
+  }, [fileStructure, mappingMode, pathPolicy, executableScripts])
+
+  const isDownloadBlocked = pathPolicy === PATH_POLICIES.BLOCK && fileTree?.unsafePaths.length > 0
 
   const toggleFolder = useCallback((path) => {
     setExpandedFolders(prev => {
@@ -47,118 +328,298 @@ function App() {
     })
   }, [])
 
-  const createFileInZip = useCallback((zip, path, content) => {
-    if (typeof content === 'string') {
-      zip.file(path, content)
-    } else if (typeof content === 'object' && content !== null) {
-      zip.file(path, JSON.stringify(content, null, 2))
-    } else {
-      zip.file(path, String(content))
-    }
-  }, [])
+  const expandAll = useCallback(() => {
+    setExpandedFolders(fileTree ? collectFolderPaths(fileTree.children) : new Set())
+  }, [fileTree])
 
-  const processStructure = useCallback((zip, structure, basePath = '') => {
-    Object.entries(structure).forEach(([key, value]) => {
-      const currentPath = basePath ? `${basePath}/${key}` : key
-      
-      if (value && typeof value === 'object' && !Array.isArray(value)) {
-        // Check if this is a file object with content
-        if (value.hasOwnProperty('content')) {
-          createFileInZip(zip, currentPath, value.content)
-        } else if (value.hasOwnProperty('type') && value.type === 'file' && value.hasOwnProperty('data')) {
-          createFileInZip(zip, currentPath, value.data)
-        } else {
-          // It's a directory, create it and recurse
-          zip.folder(currentPath)
-          processStructure(zip, value, currentPath)
-        }
-      } else {
-        // It's a file with direct content
-        createFileInZip(zip, currentPath, value)
-      }
-    })
-  }, [createFileInZip])
+  const collapseAll = useCallback(() => setExpandedFolders(new Set()), [])
 
-  const generateZip = useCallback(async () => {
-    if (!fileStructure) return
+  const exportArchive = useCallback(async (exportOptions) => {
+    if (!fileTree) return
 
+    const controller = new AbortController()
+    exportAbortRef.current = controller
     setIsGenerating(true)
+    setExportProgress({ percent: 0, currentFile: '' })
+    const workerOptions = { onProgress: setExportProgress, signal: controller.signal }
     try {
-      const zip = new JSZip()
-      processStructure(zip, fileStructure)
-      
-      const content = await zip.generateAsync({ type: 'blob' })
-      const url = URL.createObjectURL(content)
-      const link = document.createElement('a')
-      link.href = url
-      link.download = 'generated-files.zip'
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
-      URL.revokeObjectURL(url)
+      // Very large archives go straight to disk; without streaming support
+      // they fall back to an in-memory blob
+      const download = exportOptions.streamToDisk && isStreamableExport(exportOptions)
+        ? await openDownloadTarget(resolveArchiveFilename(exportOptions))
+        : null
+
+      if (download) {
+        try {
+          const { filename, size } = await streamArchiveInWorker(fileTree, exportOptions, download, workerOptions)
+          setLastExport({
+            filename,
+            size,
+            sha256: null,
+            reproducible: Boolean(exportOptions.reproducible),
+            encrypted: false,
+            streamed: true
+          })
+        } finally {
+          download.release()
+        }
+        return
+      }
+
+      const { blob, filename } = await generateArchiveInWorker(fileTree, exportOptions, workerOptions)
+      downloadBlob(blob, filename)
+      setLastExport({
+        filename,
+        size: blob.size,
+        sha256: await sha256Hex(blob),
+        reproducible: Boolean(exportOptions.reproducible),
+        encrypted: exportOptions.format === ARCHIVE_FORMATS.ZIP && Boolean(exportOptions.password)
+      })
     } catch (err) {
-      setError('Failed to generate ZIP file: ' + err.message)
+      // Dismissing the file picker throws an AbortError
+      if (!(err instanceof GenerationCancelledError) && err.name !== 'AbortError') {
+        setError('Failed to generate archive: ' + err.message)
+      }
     } finally {
+      exportAbortRef.current = null
       setIsGenerating(false)
+      setExportProgress(null)
+      setIsExportOpen(false)
     }
-  }, [fileStructure, processStructure])
-
-  const renderFileTree = useCallback((structure, basePath = '', level = 0) => {
-    if (!structure || typeof structure !== 'object') return null
-
-    return Object.entries(structure).map(([key, value]) => {
-      const currentPath = basePath ? `${basePath}/${key}` : key
-      const isExpanded = expandedFolders.has(currentPath)
-      const isFolder = value && typeof value === 'object' && !Array.isArray(value) && 
-                      !value.hasOwnProperty('content') && 
-                      !(value.hasOwnProperty('type') && value.type === 'file')
-
-      return (
-        <div key={currentPath} className="select-none">
-          <div 
-            className={`flex items-center py-1 px-2 hover:bg-gray-100 cursor-pointer rounded transition-colors ${
-              level > 0 ? `ml-${level * 4}` : ''
-            }`}
-            onClick={() => isFolder && toggleFolder(currentPath)}
-            style={{ marginLeft: `${level * 16}px` }}
-          >
-            {isFolder ? (
-              <>
-                {isExpanded ? (
-                  <ChevronDown className="w-4 h-4 mr-1 text-gray-500" />
-                ) : (
-                  <ChevronRight className="w-4 h-4 mr-1 text-gray-500" />
-                )}
-                {isExpanded ? (
-                  <FolderOpen className="w-4 h-4 mr-2 text-blue-500" />
-                ) : (
-                  <Folder className="w-4 h-4 mr-2 text-blue-500" />
-                )}
-              </>
+  }, [fileTree])
+
+  // Closing the dialog while an archive is being written cancels it
+  const handleExportOpenChange = useCallback((open) => {
+    if (!open) {
+      exportAbortRef.current?.abort()
+    }
+    setIsExportOpen(open)
+  }, [])
+
+  const treeRows = useMemo(() => (
+    fileTree ? flattenTree(fileTree.children, expandedFolders) : []
+  ), [fileTree, expandedFolders])
+
+  const selectedNode = useMemo(() => {
+    const node = fileTree && selectedPath !== null ? findNodeByPath(fileTree, selectedPath) : null
+    return node?.type === 'file' ? node : null
+  }, [fileTree, selectedPath])
+
+  // Tree edits change the structure and rewrite the input text from it, so
+  // the text stays the single source of the tree
+  const isTreeEditable = mappingMode === MAPPING_MODES.STRUCTURE
+
+  // The edit returns the changed structure and the edited path, which
+  // describe turns into the history label
+  const applyTreeEdit = useCallback((edit, describe) => {
+    if (!fileStructure) return null
+
+    try {
+      const { structure, path } = edit(fileStructure)
+      if (structure === fileStructure) return path
+
+      const nextFormat = inputFormat === INPUT_FORMATS.MARKDOWN ? INPUT_FORMATS.AUTO : inputFormat
+      commitInput(reserializeStructure(structure, jsonInput, effectiveFormat), nextFormat, describe(path))
+      setFileStructure(structure)
+      return path
+    } catch (err) {
+      setError(err.message)
+      setParseError(null)
+      return null
+    }
+  }, [fileStructure, inputFormat, effectiveFormat, jsonInput, commitInput])
+
+  // Keeps expanded folders and the selection on entries that moved
+  const rebaseTreeState = useCallback((fromPath, toPath) => {
+    const rebase = (path) => (
+      path === fromPath || path.startsWith(`${fromPath}/`) ? toPath + path.slice(fromPath.length) : path
+    )
+    setExpandedFolders(prev => new Set([...prev].map(rebase)))
+    setSelectedPath(prev => (prev === null ? prev : rebase(prev)))
+  }, [])
+
+  // Renames every entry with a portability problem to its suggested name
+  const applyPortableNames = useCallback(() => {
+    if (!fileTree) return
+
+    let renamed = []
+    applyTreeEdit(structure => {
+      const result = renameTreeEntries(structure, checkPortability(fileTree).renames)
+      renamed = result.renamed
+      return result
+    }, () => 'Applied portable names')
+    renamed.forEach(([fromPath, toPath]) => rebaseTreeState(fromPath, toPath))
+  }, [fileTree, applyTreeEdit, rebaseTreeState])
+
+  const handleTreeAction = useCallback((action, node) => {
+    if (action === 'newFile' || action === 'newFolder') {
+      const folder = !node ? fileTree : node.type === 'folder' ? node : findNodeByPath(fileTree, parentPathOf(node.path))
+      const folderPath = folder?.path || ''
+      const isFolder = action === 'newFolder'
+      const name = getUniqueName(
+        (folder?.children || []).map(child => child.name),
+        isFolder ? 'new folder' : 'untitled.txt',
+        ''
+      )
+      const path = applyTreeEdit(
+        structure => addTreeEntry(structure, folderPath, name, isFolder ? 'folder' : 'file'),
+        newPath => `Added ${isFolder ? 'folder' : 'file'} ${newPath}`
+      )
+      if (path === null) return
+
+      if (folderPath) {
+        setExpandedFolders(prev => new Set(prev).add(folderPath))
+      }
+      setEditingPath(path)
+    } else if (action === 'edit') {
+      setSelectedPath(node.path)
+      setIsEditingContent(true)
+    } else if (action === 'rename') {
+      setEditingPath(node.path)
+    } else if (action === 'duplicate') {
+      applyTreeEdit(structure => duplicateTreeEntry(structure, node.path), () => `Duplicated ${node.path}`)
+    } else if (action === 'delete') {
+      applyTreeEdit(structure => deleteTreeEntry(structure, node.path), () => `Deleted ${node.path}`)
+    }
+  }, [fileTree, applyTreeEdit])
+
+  const commitRename = useCallback((path, name) => {
+    setEditingPath(null)
+    const newPath = applyTreeEdit(structure => renameTreeEntry(structure, path, name), () => `Renamed ${path} → ${name}`)
+    if (newPath !== null) rebaseTreeState(path, newPath)
+  }, [applyTreeEdit, rebaseTreeState])
+
+  const cancelRename = useCallback(() => setEditingPath(null), [])
+
+  const saveFileContent = useCallback((text) => {
+    if (!selectedNode) return false
+    return applyTreeEdit(
+      structure => setTreeFileContent(structure, selectedNode.path, text),
+      () => `Edited ${selectedNode.path}`
+    ) !== null
+  }, [selectedNode, applyTreeEdit])
+
+  const handleTreeDragOver = useCallback((e, folderPath) => {
+    if (!e.dataTransfer.types.includes(TREE_DRAG_TYPE)) return
+    e.preventDefault()
+    e.stopPropagation()
+    e.dataTransfer.dropEffect = 'move'
+    setDropTarget(folderPath)
+  }, [])
+
+  const handleTreeDrop = useCallback((e, folderPath) => {
+    const path = e.dataTransfer.getData(TREE_DRAG_TYPE)
+    if (!path) return
+    e.preventDefault()
+    e.stopPropagation()
+    setDropTarget(null)
+
+    const newPath = applyTreeEdit(
+      structure => moveTreeEntry(structure, path, folderPath),
+      () => `Moved ${path} to ${folderPath || 'the root folder'}`
+    )
+    if (newPath !== null && newPath !== path) {
+      rebaseTreeState(path, newPath)
+      if (folderPath) setExpandedFolders(prev => new Set(prev).add(folderPath))
+    }
+  }, [applyTreeEdit, rebaseTreeState])
+
+  const renderTreeRow = useCallback(({ node, level, isExpanded }) => {
+    const isFolder = node.type === 'folder'
+    const isSelected = node.path === selectedPath
+    const isEditing = node.path === editingPath
+    // Dropping on a file moves into the folder holding it
+    const dropFolder = isFolder ? node.path : parentPathOf(node.path)
+
+    return (
+      <div 
+        data-tree-path={node.path}
+        className={`flex items-center h-full px-2 select-none cursor-pointer rounded transition-colors whitespace-nowrap overflow-hidden ${
+          isFolder && dropTarget === node.path ? 'bg-blue-50 ring-1 ring-blue-400' : isSelected ? 'bg-blue-100' : 'hover:bg-gray-100'
+        }`}
+        onClick={() => {
+          if (isFolder) toggleFolder(node.path)
+          if (node.type === 'file' && node.path !== selectedPath) {
+            setSelectedPath(node.path)
+            setIsEditingContent(false)
+          }
+        }}
+        draggable={isTreeEditable && !isEditing}
+        onDragStart={(e) => {
+          e.dataTransfer.setData(TREE_DRAG_TYPE, node.path)
+          e.dataTransfer.effectAllowed = 'move'
+        }}
+        onDragEnd={() => setDropTarget(null)}
+        onDragOver={(e) => handleTreeDragOver(e, dropFolder)}
+        onDrop={(e) => handleTreeDrop(e, dropFolder)}
+        style={{ marginLeft: `${level * 16}px` }}
+      >
+        {isFolder ? (
+          <>
+            {isExpanded ? (
+              <ChevronDown className="w-4 h-4 mr-1 text-gray-500" />
             ) : (
-              <>
-                <div className="w-4 h-4 mr-1" />
-                <File className="w-4 h-4 mr-2 text-gray-500" />
-              </>
+              <ChevronRight className="w-4 h-4 mr-1 text-gray-500" />
             )}
-            <span className="text-sm font-medium text-gray-700">{key}</span>
-          </div>
-          {isFolder && isExpanded && (
-            <div>
-              {renderFileTree(value, currentPath, level + 1)}
-            </div>
-          )}
-        </div>
-      )
-    })
-  }, [expandedFolders, toggleFolder])
+            {isExpanded ? (
+              <FolderOpen className="w-4 h-4 mr-2 text-blue-500" />
+            ) : (
+              <Folder className="w-4 h-4 mr-2 text-blue-500" />
+            )}
+          </>
+        ) : (
+          <>
+            <div className="w-4 h-4 mr-1" />
+            {node.type === 'symlink' ? (
+              <Link2 className="w-4 h-4 mr-2 text-teal-600" />
+            ) : (
+              <File className="w-4 h-4 mr-2 text-gray-500" />
+            )}
+          </>
+        )}
+        {isEditing ? (
+          <TreeNameInput
+            initialName={node.name}
+            onCommit={name => commitRename(node.path, name)}
+            onCancel={cancelRename}
+          />
+        ) : (
+          <span className="text-sm font-medium text-gray-700">{node.name}</span>
+        )}
+        {node.type === 'symlink' && (
+          <span className="ml-2 text-xs text-gray-500">→ {node.target}</span>
+        )}
+        {typeof node.mode === 'number' && (
+          <span className="ml-2 px-1.5 py-0.5 text-xs font-mono bg-gray-200 text-gray-600 rounded" title="Unix permissions">
+            {formatFileMode(node.mode)}
+          </span>
+        )}
+        {node.binary && (
+          <span className="ml-2 px-1.5 py-0.5 text-xs bg-purple-100 text-purple-700 rounded">
+            binary · {formatFileSize(node.size)}
+          </span>
+        )}
+        {node.error && (
+          <span className="ml-2 text-xs text-red-600">{node.error}</span>
+        )}
+        {node.unsafe && (
+          <span className="ml-2 inline-flex items-center text-xs text-red-600" title={node.unsafe}>
+            <ShieldAlert className="w-3 h-3 mr-1" />
+            unsafe path
+          </span>
+        )}
+      </div>
+    )
+  }, [toggleFolder, selectedPath, editingPath, dropTarget, isTreeEditable, handleTreeDragOver, handleTreeDrop, commitRename, cancelRename])
 
   const clearAll = useCallback(() => {
-    setJsonInput('')
-    setFileStructure(null)
-    setError('')
+    commitInput('', inputFormat, 'Cleared input')
     setExpandedFolders(new Set())
-  }, [])
+    setSelectedPath(null)
+    setEditingPath(null)
+    setIsEditingContent(false)
+    setLastExport(null)
+  }, [commitInput, inputFormat])
 
   return (
     <div className="min-h-screen bg-gray-50 py-8 px-4">
@@ -170,27 +631,138 @@ function App() {
 
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Input Section */}
-          <div className="bg-white rounded-lg shadow-md p-6">
+          <div
+            className={`bg-white rounded-lg shadow-md p-6 transition-shadow ${isDragging ? 'ring-2 ring-blue-500' : ''}`}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+          >
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-xl font-semibold text-gray-800 flex items-center">
                 <FileText className="w-5 h-5 mr-2" />
-                JSON Input
+                Structure Input
               </h2>
-              {jsonInput && (
+              <div className="flex items-center gap-3">
+                <Popover>
+                  <PopoverTrigger asChild>
+                    <button
+                      className="inline-flex items-center text-sm text-gray-600 hover:text-blue-600 transition-colors"
+                      title="Undo history (Ctrl+Z, Ctrl+Shift+Z)"
+                    >
+                      <History className="w-4 h-4 mr-1" />
+                      History
+                    </button>
+                  </PopoverTrigger>
+                  <PopoverContent align="end" className="w-80 p-3">
+                    <HistoryPanel history={editHistory} onJump={goToHistoryStep} />
+                  </PopoverContent>
+                </Popover>
                 <button
-                  onClick={clearAll}
-                  className="text-gray-500 hover:text-red-500 transition-colors"
-                  title="Clear all"
+                  onClick={() => zipInputRef.current?.click()}
+                  disabled={isImporting}
+                  className="inline-flex items-center text-sm text-gray-600 hover:text-blue-600 disabled:opacity-50 transition-colors"
+                  title="Import a ZIP archive"
                 >
-                  <X className="w-5 h-5" />
+                  <FileArchive className="w-4 h-4 mr-1" />
+                  {isImporting ? 'Importing...' : 'Import ZIP'}
                 </button>
+                <button
+                  onClick={() => folderInputRef.current?.click()}
+                  disabled={isImporting}
+                  className="inline-flex items-center text-sm text-gray-600 hover:text-blue-600 disabled:opacity-50 transition-colors"
+                  title="Import a local folder"
+                >
+                  <FolderUp className="w-4 h-4 mr-1" />
+                  Import folder
+                </button>
+                <input
+                  ref={zipInputRef}
+                  type="file"
+                  accept=".zip,application/zip"
+                  onChange={handleZipSelected}
+                  className="hidden"
+                />
+                <input
+                  ref={folderInputRef}
+                  type="file"
+                  webkitdirectory=""
+                  multiple
+                  onChange={handleFolderSelected}
+                  className="hidden"
+                />
+                {jsonInput && (
+                  <button
+                    onClick={clearAll}
+                    className="text-gray-500 hover:text-red-500 transition-colors"
+                    title="Clear all"
+                  >
+                    <X className="w-5 h-5" />
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+              <label htmlFor="input-format" className="text-gray-600">Format</label>
+              <select
+                id="input-format"
+                value={inputFormat}
+                onChange={handleFormatChange}
+                className="px-2 py-1 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500"
+              >
+                {INPUT_FORMAT_OPTIONS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {inputFormat === INPUT_FORMATS.AUTO && jsonInput.trim() && (
+                <span className="text-gray-500">({FORMAT_LABELS[effectiveFormat]})</span>
+              )}
+              {isManifest(fileStructure) && (
+                <span className="px-1.5 py-0.5 text-xs bg-blue-100 text-blue-700 rounded">
+                  Manifest · {fileStructure.length} records
+                </span>
               )}
+              <label htmlFor="mapping-mode" className="ml-2 text-gray-600">Mapping</label>
+              <select
+                id="mapping-mode"
+                value={mappingMode}
+                onChange={(e) => setMappingMode(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500"
+              >
+                {MAPPING_MODE_OPTIONS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <label className="ml-2 inline-flex items-center gap-1 text-gray-600" title="Files starting with #! and no mode get mode 755">
+                <input
+                  type="checkbox"
+                  checked={executableScripts}
+                  onChange={(e) => setExecutableScripts(e.target.checked)}
+                  className="rounded border-gray-300"
+                />
+                Executable #! scripts
+              </label>
+              {fileStructure && (
+                <button
+                  onClick={convertInputFormat}
+                  className="ml-auto inline-flex items-center text-gray-600 hover:text-blue-600 transition-colors"
+                  title="Rewrite the document in the other format"
+                >
+                  <ArrowLeftRight className="w-4 h-4 mr-1" />
+                  Convert to {FORMAT_LABELS[conversionTarget]}
+                </button>
+              )}
+              <p className="w-full text-gray-500 truncate">
+                {MAPPING_MODE_OPTIONS.find(option => option.value === mappingMode).description}
+              </p>
             </div>
             
-            <textarea
+            <StructureEditor
+              ref={editorRef}
               value={jsonInput}
-              onChange={(e) => handleJsonInput(e.target.value)}
-              placeholder={`Enter your JSON structure here, e.g.:
+              onChange={handleTextChange}
+              errorLine={parseError ? parseError.line : null}
+              placeholder={`Enter your JSON, YAML or Markdown structure here, e.g.:
 {
   "src": {
     "components": {
@@ -208,49 +780,220 @@ function App() {
     "version": "1.0.0"
   }
 }`}
-              className="w-full h-96 p-4 border border-gray-300 rounded-md font-mono text-sm resize-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             />
             
-            {error && (
+            {(error || treeError) && (
               <div className="mt-3 p-3 bg-red-100 border border-red-300 rounded-md">
-                <p className="text-red-700 text-sm">{error}</p>
+                <div className="flex items-start justify-between gap-3">
+                  <p className="text-red-700 text-sm">{error || treeError}</p>
+                  {parseError && (
+                    <button
+                      onClick={() => editorRef.current?.revealPosition(parseError.line, parseError.column)}
+                      className="shrink-0 text-xs font-medium text-red-700 underline hover:text-red-900"
+                    >
+                      Go to line {parseError.line}
+                    </button>
+                  )}
+                </div>
+                {parseError && (
+                  <pre className="mt-2 p-2 bg-white/60 rounded text-xs text-red-800 font-mono overflow-x-auto">{parseError.excerpt}</pre>
+                )}
+              </div>
+            )}
+
+            <IssueList
+              title="Code blocks without a file path"
+              issues={unmappedFences}
+              className="mt-3"
+            />
+
+            {importNotice && (
+              <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-md text-sm text-blue-700">
+                <p>
+                  Imported {importNotice.source}
+                  {importNotice.summary && (
+                    ` — ${importNotice.summary.files} files (${importNotice.summary.binary} binary), ${importNotice.summary.folders} folders`
+                  )}
+                </p>
+                {importNotice.verification && importNotice.verification.problems.length === 0 && (
+                  <p className="mt-1 flex items-center text-green-700">
+                    <ShieldCheck className="w-4 h-4 mr-1 shrink-0" />
+                    {importNotice.verification.checked} files match {importNotice.verification.sources.join(' and ')}
+                  </p>
+                )}
+                <IssueList
+                  title={`Checksum mismatches against ${importNotice.verification?.sources.join(' and ')}`}
+                  issues={importNotice.verification?.problems}
+                  variant="error"
+                  className="mt-2"
+                />
+                <IssueList
+                  title="Skipped"
+                  issues={importNotice.skipped}
+                  className="mt-2"
+                />
               </div>
             )}
           </div>
 
           {/* Preview Section */}
           <div className="bg-white rounded-lg shadow-md p-6">
-            <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
-              <Folder className="w-5 h-5 mr-2" />
-              File Tree Preview
-            </h2>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+                <Folder className="w-5 h-5 mr-2" />
+                File Tree Preview
+              </h2>
+              {fileTree && fileTree.children.length > 0 && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={expandAll}
+                    className="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors"
+                  >
+                    Expand All
+                  </button>
+                  <button
+                    onClick={collapseAll}
+                    className="text-xs px-2 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+                  >
+                    Collapse All
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <IssueList
+              title="Structure issues"
+              issues={fileTree?.issues}
+              className="mb-3"
+            />
+
+            <IssueList
+              title={pathPolicy === PATH_POLICIES.FIX ? 'Unsafe paths rewritten' : 'Unsafe paths'}
+              issues={fileTree?.unsafePaths}
+              variant={pathPolicy === PATH_POLICIES.FIX ? 'warning' : 'error'}
+              className="mb-3"
+              actions={
+                <select
+                  aria-label="Unsafe path handling"
+                  value={pathPolicy}
+                  onChange={(e) => setPathPolicy(e.target.value)}
+                  className="px-2 py-0.5 text-xs border border-gray-300 rounded-md bg-white text-gray-700 focus:ring-2 focus:ring-blue-500"
+                >
+                  {PATH_POLICY_OPTIONS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              }
+            />
+
+            <IssueList
+              title="Not portable to Windows or macOS"
+              issues={portabilityProblems}
+              className="mb-3"
+              actions={isTreeEditable && (
+                <button
+                  onClick={applyPortableNames}
+                  className="inline-flex items-center text-xs font-medium underline hover:no-underline"
+                  title="Rename every listed entry to its suggested name"
+                >
+                  <Wand2 className="w-3 h-3 mr-1" />
+                  Apply all fixes
+                </button>
+              )}
+            />
             
-            {fileStructure ? (
-              <div className="border border-gray-200 rounded-md p-4 h-96 overflow-y-auto bg-gray-50">
-                {renderFileTree(fileStructure)}
-              </div>
+            {fileTree ? (
+              <ResizablePanelGroup direction="horizontal" className="h-96 border border-gray-200 rounded-md overflow-hidden">
+                <ResizablePanel id="tree" order={1} defaultSize={45} minSize={20}>
+                  <TreeContextMenu tree={fileTree} disabled={!isTreeEditable} onAction={handleTreeAction}>
+                    <div
+                      className={`h-full ${dropTarget === '' ? 'ring-2 ring-inset ring-blue-400' : ''}`}
+                      onDragOver={(e) => handleTreeDragOver(e, '')}
+                      onDragLeave={(e) => {
+                        if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null)
+                      }}
+                      onDrop={(e) => handleTreeDrop(e, '')}
+                    >
+                      <VirtualTreeList
+                        rows={treeRows}
+                        renderRow={renderTreeRow}
+                        getRowKey={row => row.node.path}
+                        className="p-4 h-full bg-gray-50"
+                      />
+                    </div>
+                  </TreeContextMenu>
+                </ResizablePanel>
+                {selectedNode && (
+                  <>
+                    <ResizableHandle withHandle />
+                    <ResizablePanel id="viewer" order={2} defaultSize={55} minSize={25}>
+                      <FileViewer
+                        key={selectedNode.path}
+                        node={selectedNode}
+                        tree={fileTree}
+                        onClose={() => {
+                          setSelectedPath(null)
+                          setIsEditingContent(false)
+                        }}
+                        onSave={isTreeEditable ? saveFileContent : null}
+                        editing={isEditingContent}
+                        onEditingChange={setIsEditingContent}
+                      />
+                    </ResizablePanel>
+                  </>
+                )}
+              </ResizablePanelGroup>
             ) : (
-              <div className="border-2 border-dashed border-gray-300 rounded-md p-8 h-96 flex items-center justify-center">
-                <div className="text-center text-gray-500">
-                  <Upload className="w-12 h-12 mx-auto mb-3 opacity-50" />
-                  <p>Enter valid JSON to see file tree preview</p>
-                </div>
-              </div>
+              <FolderDropZone
+                onDrop={handleDrop}
+                onChooseFolder={() => folderInputRef.current?.click()}
+                onChooseZip={() => zipInputRef.current?.click()}
+                isImporting={isImporting}
+                className="h-96"
+              />
             )}
           </div>
         </div>
 
         {/* Action Section */}
-        {fileStructure && (
+        {fileTree && (
           <div className="mt-6 text-center">
             <button
-              onClick={generateZip}
-              disabled={isGenerating}
+              onClick={() => setIsExportOpen(true)}
+              disabled={isGenerating || isDownloadBlocked}
               className="inline-flex items-center px-6 py-3 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
               <Download className="w-5 h-5 mr-2" />
-              {isGenerating ? 'Generating ZIP...' : 'Download ZIP File'}
+              {isGenerating ? 'Generating archive...' : 'Download Archive'}
             </button>
+            {isDownloadBlocked && (
+              <p className="mt-2 text-sm text-red-600">
+                The archive would contain paths that escape the extraction folder. Fix them or switch to auto-fix.
+              </p>
+            )}
+            {lastExport && (
+              <p className="mt-3 text-xs text-gray-500 break-all">
+                {lastExport.filename} · {formatFileSize(lastExport.size)}
+                {lastExport.reproducible && ' · reproducible'}
+                {lastExport.encrypted && ' · AES-256 encrypted'}
+                {lastExport.streamed && ' · streamed to disk'}
+                {lastExport.sha256 && (
+                  <>
+                    <br />
+                    SHA-256 <code className="font-mono text-gray-700 select-all">{lastExport.sha256}</code>
+                  </>
+                )}
+              </p>
+            )}
+            <ExportDialog
+              open={isExportOpen}
+              onOpenChange={handleExportOpenChange}
+              onExport={exportArchive}
+              tree={fileTree}
+              defaultFilename="generated-files.zip"
+              isExporting={isGenerating}
+              progress={exportProgress}
+            />
           </div>
         )}
       </div>
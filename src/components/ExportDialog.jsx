@@ -0,0 +1,379 @@
+import React, { useEffect, useMemo } from 'react';
+import { useForm } from 'react-hook-form';
+import { Download } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import {
+  Form,
+  FormControl,
+  FormDescription,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage
+} from './ui/form';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Progress } from './ui/progress';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Slider } from './ui/slider';
+import { Switch } from './ui/switch';
+import {
+  ARCHIVE_FORMATS,
+  ARCHIVE_FORMAT_OPTIONS,
+  COMPRESSION_METHODS,
+  COMPRESSION_METHOD_OPTIONS,
+  FILENAME_TOKENS,
+  getDefaultRootFolderName,
+  loadExportOptions,
+  REPRODUCIBLE_COMPRESSION,
+  resolveArchiveFilename,
+  saveExportOptions
+} from '../utils/exportOptions';
+import { getAvailableFormats } from '../utils/archiveExport';
+import { CHECKSUM_FILES, findChecksumFileConflicts } from '../utils/checksums';
+import { canStreamDownloads } from '../utils/downloadTargets';
+import { estimatePasswordStrength, PASSWORD_STRENGTHS } from '../utils/passwordStrength';
+import { findNameProblems } from '../utils/pathSafety';
+
+const STRENGTH_COLORS = ['bg-red-500', 'bg-red-500', 'bg-orange-400', 'bg-green-500', 'bg-green-600'];
+
+const validateName = (value) => {
+  if (!value.trim()) return undefined;
+  const problems = findNameProblems(value.trim());
+  return problems.length > 0 ? problems[0] : undefined;
+};
+
+// Generated checksum files must not replace files of the structure
+const validateChecksumFile = (tree, values, option) => {
+  if (!values[option] || !tree || values.format === ARCHIVE_FORMATS.GZ) return undefined;
+  const [name] = findChecksumFileConflicts(tree, { [option]: true });
+  return name ? `The structure already has a ${name} at the root` : undefined;
+};
+
+/**
+ * Asks for the archive format, filename, compression, root folder, ZIP
+ * password and embedded checksum files before a download. The options
+ * except the password are remembered for the next export. While exporting,
+ * progress ({ percent, currentFile }) is shown and Cancel closes the dialog.
+ */
+const ExportDialog = ({ open, onOpenChange, onExport, tree, defaultFilename, isExporting = false, progress = null }) => {
+  const form = useForm({ defaultValues: loadExportOptions({ filename: defaultFilename }) });
+  const { reset, watch } = form;
+
+  const formats = useMemo(() => (tree ? getAvailableFormats(tree) : [ARCHIVE_FORMATS.ZIP]), [tree]);
+
+  // Start from the last used options every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      const options = loadExportOptions({ filename: defaultFilename });
+      reset(formats.includes(options.format) ? options : { ...options, format: ARCHIVE_FORMATS.ZIP });
+    }
+  }, [open, defaultFilename, formats, reset]);
+
+  const values = watch();
+  const isZip = values.format === ARCHIVE_FORMATS.ZIP;
+  const isSingleFile = values.format === ARCHIVE_FORMATS.GZ;
+  // Random AES salts make every encrypted archive unique
+  const isEncrypted = isZip && Boolean(values.password);
+  const isReproducible = values.reproducible && !isEncrypted;
+  // Reproducible builds pin the compression settings
+  const compression = isReproducible ? REPRODUCIBLE_COMPRESSION.compression : values.compression;
+  const compressionLevel = isReproducible ? REPRODUCIBLE_COMPRESSION.compressionLevel : values.compressionLevel;
+  const previewFilename = isSingleFile ? `${tree.children[0].name}.gz` : resolveArchiveFilename(values);
+  const strength = estimatePasswordStrength(values.password || '');
+
+  const handleSubmit = (options) => {
+    saveExportOptions(options);
+    const encrypted = options.format === ARCHIVE_FORMATS.ZIP && Boolean(options.password);
+    onExport({ ...options, reproducible: options.reproducible && !encrypted });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Export archive</DialogTitle>
+          <DialogDescription>Choose how the archive is named and packed.</DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(handleSubmit)} className="space-y-5">
+            <FormField
+              control={form.control}
+              name="format"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Format</FormLabel>
+                  <Select value={field.value} onValueChange={field.onChange}>
+                    <FormControl>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                    </FormControl>
+                    <SelectContent>
+                      {ARCHIVE_FORMAT_OPTIONS.filter(option => formats.includes(option.value)).map(({ value, label }) => (
+                        <SelectItem key={value} value={value}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="filename"
+              rules={{ validate: value => validateName(value) ?? true }}
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Archive name</FormLabel>
+                  <FormControl>
+                    <Input {...field} disabled={isSingleFile} spellCheck={false} />
+                  </FormControl>
+                  <FormDescription>
+                    {isSingleFile
+                      ? 'Named after the compressed file'
+                      : `${FILENAME_TOKENS.join(', ')} are replaced when downloading`} · <span className="font-mono">{previewFilename}</span>
+                  </FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <div className="grid grid-cols-2 gap-4">
+              <FormField
+                control={form.control}
+                name="compression"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Compression</FormLabel>
+                    <Select
+                      value={isZip ? compression : COMPRESSION_METHODS.DEFLATE}
+                      onValueChange={field.onChange}
+                      disabled={!isZip || isReproducible}
+                    >
+                      <FormControl>
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        {COMPRESSION_METHOD_OPTIONS.map(({ value, label }) => (
+                          <SelectItem key={value} value={value}>{label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormDescription>
+                      {isZip
+                        ? COMPRESSION_METHOD_OPTIONS.find(option => option.value === compression)?.description
+                        : values.format === ARCHIVE_FORMATS.TAR ? 'Tarballs are not compressed' : 'Gzip always deflates'}
+                    </FormDescription>
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="compressionLevel"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Level {compressionLevel}</FormLabel>
+                    <FormControl>
+                      <Slider
+                        min={1}
+                        max={9}
+                        step={1}
+                        value={[compressionLevel]}
+                        onValueChange={([level]) => field.onChange(level)}
+                        disabled={
+                          isReproducible ||
+                          values.format === ARCHIVE_FORMATS.TAR ||
+                          (isZip && compression === COMPRESSION_METHODS.STORE)
+                        }
+                        className="h-9"
+                      />
+                    </FormControl>
+                    <FormDescription>1 is fastest, 9 is smallest</FormDescription>
+                  </FormItem>
+                )}
+              />
+            </div>
+
+            {!isSingleFile && (
+              <FormField
+                control={form.control}
+                name="wrapInRootFolder"
+                render={({ field }) => (
+                  <FormItem className="flex items-center justify-between gap-4 space-y-0">
+                    <div className="space-y-1">
+                      <FormLabel>Wrap in a root folder</FormLabel>
+                      <FormDescription>Extracting creates one folder instead of loose files</FormDescription>
+                    </div>
+                    <FormControl>
+                      <Switch checked={field.value} onCheckedChange={field.onChange} />
+                    </FormControl>
+                  </FormItem>
+                )}
+              />
+            )}
+
+            {!isSingleFile && values.wrapInRootFolder && (
+              <FormField
+                control={form.control}
+                name="rootFolderName"
+                rules={{ validate: value => validateName(value) ?? true }}
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Root folder name</FormLabel>
+                    <FormControl>
+                      <Input {...field} placeholder={getDefaultRootFolderName(previewFilename)} spellCheck={false} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            )}
+
+            <FormField
+              control={form.control}
+              name="reproducible"
+              render={({ field }) => (
+                <FormItem className="flex items-center justify-between gap-4 space-y-0">
+                  <div className="space-y-1">
+                    <FormLabel>Reproducible build</FormLabel>
+                    <FormDescription>
+                      {isEncrypted
+                        ? 'Not available for encrypted archives: random salts make every one unique'
+                        : `Fixed timestamps, entries sorted by path and Deflate level ${REPRODUCIBLE_COMPRESSION.compressionLevel}: the same input always gives the same bytes`}
+                    </FormDescription>
+                  </div>
+                  <FormControl>
+                    <Switch checked={field.value && !isEncrypted} onCheckedChange={field.onChange} disabled={isEncrypted} />
+                  </FormControl>
+                </FormItem>
+              )}
+            />
+
+            {isZip && (
+              <FormField
+                control={form.control}
+                name="password"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Password</FormLabel>
+                    <FormControl>
+                      <Input {...field} type="password" autoComplete="new-password" placeholder="No encryption" />
+                    </FormControl>
+                    {field.value && (
+                      <div className="flex items-center gap-2">
+                        <div className="flex flex-1 gap-1">
+                          {PASSWORD_STRENGTHS.slice(1).map(({ label }, index) => (
+                            <div
+                              key={label}
+                              className={`h-1.5 flex-1 rounded-full ${index < strength.score ? STRENGTH_COLORS[strength.score] : 'bg-gray-200'}`}
+                            />
+                          ))}
+                        </div>
+                        <span className="text-xs text-gray-600 w-20 text-right">{strength.label}</span>
+                      </div>
+                    )}
+                    <FormDescription>
+                      Files are encrypted with AES-256 (WinZip AE-2), which 7-Zip and most archivers can open. The password is never saved
+                    </FormDescription>
+                  </FormItem>
+                )}
+              />
+            )}
+
+            {isZip && !values.password && canStreamDownloads() && (
+              <FormField
+                control={form.control}
+                name="streamToDisk"
+                render={({ field }) => (
+                  <FormItem className="flex items-center justify-between gap-4 space-y-0">
+                    <div className="space-y-1">
+                      <FormLabel>Stream to disk</FormLabel>
+                      <FormDescription>
+                        For very large archives: written chunk by chunk to the chosen file, with ZIP64 past 4 GB or 65,535 entries
+                      </FormDescription>
+                    </div>
+                    <FormControl>
+                      <Switch checked={field.value} onCheckedChange={field.onChange} />
+                    </FormControl>
+                  </FormItem>
+                )}
+              />
+            )}
+
+            {!isSingleFile && (
+              <div className="space-y-3">
+                <FormField
+                  control={form.control}
+                  name="sha256sums"
+                  rules={{ validate: (value, formValues) => validateChecksumFile(tree, formValues, 'sha256sums') ?? true }}
+                  render={({ field }) => (
+                    <FormItem className="flex items-center justify-between gap-4 space-y-0">
+                      <div className="space-y-1">
+                        <FormLabel>Embed {CHECKSUM_FILES.SHA256SUMS}</FormLabel>
+                        <FormDescription>Check an extracted archive with <code>sha256sum -c</code></FormDescription>
+                        <FormMessage />
+                      </div>
+                      <FormControl>
+                        <Switch checked={field.value} onCheckedChange={field.onChange} />
+                      </FormControl>
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="manifest"
+                  rules={{ validate: (value, formValues) => validateChecksumFile(tree, formValues, 'manifest') ?? true }}
+                  render={({ field }) => (
+                    <FormItem className="flex items-center justify-between gap-4 space-y-0">
+                      <div className="space-y-1">
+                        <FormLabel>Embed {CHECKSUM_FILES.MANIFEST}</FormLabel>
+                        <FormDescription>Paths, sizes and SHA-256 hashes, verified when the ZIP is imported again</FormDescription>
+                        <FormMessage />
+                      </div>
+                      <FormControl>
+                        <Switch checked={field.value} onCheckedChange={field.onChange} />
+                      </FormControl>
+                    </FormItem>
+                  )}
+                />
+              </div>
+            )}
+
+            {isExporting && progress && (
+              <div className="space-y-1">
+                <Progress value={progress.percent} />
+                <p className="text-xs text-gray-500 truncate">
+                  {Math.round(progress.percent)}% · {progress.currentFile || 'Preparing files…'}
+                </p>
+              </div>
+            )}
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isExporting}>
+                <Download />
+                {isExporting ? 'Generating...' : 'Download'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ExportDialog;
@@ -1,8 +1,10 @@
-import React, { useState } from 'react';
-import { ChevronRight, ChevronDown, File, Folder, FolderOpen } from 'lucide-react';
+import React, { useMemo, useState } from 'react';
+import { ChevronRight, ChevronDown, File, Folder, FolderOpen, Link2 } from 'lucide-react';
+import IssueList from './IssueList';
+import VirtualTreeList from './VirtualTreeList';
+import { collectFolderPaths, flattenTree } from '../utils/treeRows';
 
-const FileTreeNode = ({ node, level = 0, onToggle, expandedNodes }) => {
-  const isExpanded = expandedNodes.has(node.path);
+const FileTreeRow = ({ node, level, isExpanded, onToggle }) => {
   const hasChildren = node.children && node.children.length > 0;
   
   const handleToggle = () => {
@@ -15,6 +17,9 @@ const FileTreeNode = ({ node, level = 0, onToggle, expandedNodes }) => {
     if (node.type === 'file') {
       return <File className="w-4 h-4 text-blue-500" />;
     }
+    if (node.type === 'symlink') {
+      return <Link2 className="w-4 h-4 text-teal-600" />;
+    }
     return isExpanded ? 
       <FolderOpen className="w-4 h-4 text-yellow-600" /> : 
       <Folder className="w-4 h-4 text-yellow-500" />;
@@ -28,31 +33,18 @@ const FileTreeNode = ({ node, level = 0, onToggle, expandedNodes }) => {
   };
 
   return (
-    <div className="select-none">
-      <div 
-        className="flex items-center py-1 px-2 hover:bg-gray-100 rounded cursor-pointer transition-colors"
-        style={{ paddingLeft: `${level * 20 + 8}px` }}
-        onClick={handleToggle}
-      >
-        {getChevron()}
-        {getIcon()}
-        <span className="ml-2 text-sm text-gray-700 truncate">
-          {node.name}
-        </span>
-      </div>
-      
-      {hasChildren && isExpanded && (
-        <div>
-          {node.children.map((child, index) => (
-            <FileTreeNode
-              key={`${child.path}-${index}`}
-              node={child}
-              level={level + 1}
-              onToggle={onToggle}
-              expandedNodes={expandedNodes}
-            />
-          ))}
-        </div>
+    <div 
+      className="flex items-center h-full py-1 px-2 select-none hover:bg-gray-100 rounded cursor-pointer transition-colors whitespace-nowrap overflow-hidden"
+      style={{ paddingLeft: `${level * 20 + 8}px` }}
+      onClick={handleToggle}
+    >
+      {getChevron()}
+      {getIcon()}
+      <span className="ml-2 text-sm text-gray-700 truncate">
+        {node.name}
+      </span>
+      {node.type === 'symlink' && (
+        <span className="ml-2 text-xs text-gray-500 truncate">→ {node.target}</span>
       )}
     </div>
   );
@@ -71,25 +63,10 @@ const FileTree = ({ data, className = "" }) => {
     setExpandedNodes(newExpanded);
   };
 
-  const expandAll = () => {
-    const getAllPaths = (node) => {
-      const paths = [];
-      if (node.children && node.children.length > 0) {
-        paths.push(node.path);
-        node.children.forEach(child => {
-          paths.push(...getAllPaths(child));
-        });
-      }
-      return paths;
-    };
+  const rows = useMemo(() => flattenTree(data?.children || [], expandedNodes), [data, expandedNodes]);
 
-    const allPaths = new Set();
-    if (data && data.children) {
-      data.children.forEach(child => {
-        getAllPaths(child).forEach(path => allPaths.add(path));
-      });
-    }
-    setExpandedNodes(allPaths);
+  const expandAll = () => {
+    setExpandedNodes(collectFolderPaths(data?.children || []));
   };
 
   const collapseAll = () => {
@@ -126,22 +103,26 @@ const FileTree = ({ data, className = "" }) => {
         </div>
       </div>
       
-      <div className="p-2 max-h-96 overflow-y-auto">
-        {data.children && data.children.length > 0 ? (
-          data.children.map((child, index) => (
-            <FileTreeNode
-              key={`${child.path}-${index}`}
-              node={child}
-              onToggle={handleToggle}
-              expandedNodes={expandedNodes}
-            />
-          ))
-        ) : (
+      <IssueList
+        title="Structure issues"
+        issues={data.issues}
+        className="m-2"
+      />
+
+      {rows.length > 0 ? (
+        <VirtualTreeList
+          rows={rows}
+          renderRow={row => <FileTreeRow {...row} onToggle={handleToggle} />}
+          getRowKey={row => row.node.path}
+          className="p-2 h-96"
+        />
+      ) : (
+        <div className="p-2">
           <div className="text-gray-500 text-sm p-4 text-center">
             No files or folders found
           </div>
-        )}
-      </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,340 @@
+import React, { useMemo, useState } from 'react';
+import { Code, Eye, FileWarning, Image as ImageIcon, Pencil, Save, WrapText, X } from 'lucide-react';
+import StructureEditor from './StructureEditor';
+import { formatFileSize } from '../utils/converterUtils';
+import { getFilePreview, resolveLinkedPath } from '../utils/filePreview';
+import { parseMarkdownBlocks, parseMarkdownInline } from '../utils/markdownPreview';
+import { detectLanguage, highlightLines } from '../utils/syntaxHighlight';
+import { findNodeByPath } from '../utils/treeRows';
+
+// Longer files are cut off, rendering every line would freeze the page
+const MAX_PREVIEW_LINES = 5000;
+
+const TOKEN_CLASSES = {
+  comment: 'text-gray-400 italic',
+  string: 'text-green-700',
+  number: 'text-orange-600',
+  keyword: 'text-purple-700 font-medium',
+  property: 'text-blue-700',
+  tag: 'text-red-700'
+};
+
+const HEADING_CLASSES = {
+  1: 'text-2xl font-bold border-b pb-1',
+  2: 'text-xl font-bold border-b pb-1',
+  3: 'text-lg font-semibold',
+  4: 'text-base font-semibold',
+  5: 'text-sm font-semibold',
+  6: 'text-sm font-semibold text-gray-600'
+};
+
+const CodeView = ({ text, language, wrap }) => {
+  const lines = useMemo(() => {
+    const allLines = text.split('\n');
+    const shown = allLines.length > MAX_PREVIEW_LINES ? allLines.slice(0, MAX_PREVIEW_LINES).join('\n') : text;
+    return { highlighted: highlightLines(shown, language), total: allLines.length };
+  }, [text, language]);
+
+  return (
+    <div className="font-mono text-xs leading-5">
+      {lines.highlighted.map((tokens, index) => (
+        <div key={index} className="flex hover:bg-gray-50">
+          <span className="shrink-0 w-12 pr-3 text-right text-gray-400 select-none border-r border-gray-200 bg-gray-50">
+            {index + 1}
+          </span>
+          <span className={`pl-3 pr-2 ${wrap ? 'whitespace-pre-wrap break-all' : 'whitespace-pre'}`}>
+            {tokens.length > 0 ? tokens.map((token, tokenIndex) => (
+              <span key={tokenIndex} className={TOKEN_CLASSES[token.type]}>{token.text}</span>
+            )) : ' '}
+          </span>
+        </div>
+      ))}
+      {lines.total > MAX_PREVIEW_LINES && (
+        <div className="px-3 py-2 text-gray-500 italic font-sans">
+          Showing the first {MAX_PREVIEW_LINES.toLocaleString()} of {lines.total.toLocaleString()} lines
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Remote images load only when asked to: fetching one tells its host that
+// the file was opened
+const RemoteImage = ({ src, alt }) => {
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  if (isLoaded) {
+    return <img src={src} alt={alt} referrerPolicy="no-referrer" className="inline max-w-full" />;
+  }
+
+  let host = src;
+  try {
+    host = new URL(src).host;
+  } catch {
+    // Keep the full address
+  }
+  return (
+    <button
+      type="button"
+      onClick={() => setIsLoaded(true)}
+      title={src}
+      className="inline-flex items-center px-1.5 py-0.5 text-xs text-gray-600 bg-gray-100 rounded hover:bg-gray-200"
+    >
+      <ImageIcon className="w-3 h-3 mr-1" />
+      Load {alt || 'image'} from {host}
+    </button>
+  );
+};
+
+const MarkdownInline = ({ nodes, resolveImage }) => nodes.map((node, index) => {
+  if (node.type === 'code') {
+    return <code key={index} className="px-1 py-0.5 bg-gray-100 rounded font-mono text-[0.9em]">{node.text}</code>;
+  }
+  if (node.type === 'strong') {
+    return <strong key={index}><MarkdownInline nodes={node.children} resolveImage={resolveImage} /></strong>;
+  }
+  if (node.type === 'em') {
+    return <em key={index}><MarkdownInline nodes={node.children} resolveImage={resolveImage} /></em>;
+  }
+  if (node.type === 'del') {
+    return <del key={index}><MarkdownInline nodes={node.children} resolveImage={resolveImage} /></del>;
+  }
+  if (node.type === 'link') {
+    const children = <MarkdownInline nodes={node.children} resolveImage={resolveImage} />;
+    // Only web links are followed, relative links have nowhere to go
+    return /^(?:https?:|mailto:)/i.test(node.href)
+      ? <a key={index} href={node.href} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline">{children}</a>
+      : <span key={index} className="text-blue-600">{children}</span>;
+  }
+  if (node.type === 'image') {
+    const image = resolveImage(node.src);
+    if (!image) {
+      return <span key={index} className="text-gray-500 italic">[{node.alt || 'image'}]</span>;
+    }
+    return image.remote
+      ? <RemoteImage key={index} src={image.src} alt={node.alt} />
+      : <img key={index} src={image.src} alt={node.alt} className="inline max-w-full" />;
+  }
+  if (node.type === 'break') {
+    return <br key={index} />;
+  }
+  return <React.Fragment key={index}>{node.text}</React.Fragment>;
+});
+
+const MarkdownBlocks = ({ blocks, resolveImage }) => blocks.map((block, index) => {
+  const inline = (text) => <MarkdownInline nodes={parseMarkdownInline(text)} resolveImage={resolveImage} />;
+
+  if (block.type === 'heading') {
+    const Heading = `h${block.level}`;
+    return <Heading key={index} className={HEADING_CLASSES[block.level]}>{inline(block.text)}</Heading>;
+  }
+  if (block.type === 'code') {
+    return (
+      <pre key={index} className="p-3 bg-gray-50 border border-gray-200 rounded overflow-x-auto">
+        <CodeView text={block.text} language={block.language ? detectLanguage(`.${block.language}`) : null} wrap={false} />
+      </pre>
+    );
+  }
+  if (block.type === 'list') {
+    const List = block.ordered ? 'ol' : 'ul';
+    return (
+      <List key={index} start={block.start} className={`pl-6 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+        {block.items.map((item, itemIndex) => <li key={itemIndex}>{inline(item)}</li>)}
+      </List>
+    );
+  }
+  if (block.type === 'quote') {
+    return (
+      <blockquote key={index} className="pl-3 border-l-4 border-gray-300 text-gray-600 space-y-2">
+        <MarkdownBlocks blocks={block.blocks} resolveImage={resolveImage} />
+      </blockquote>
+    );
+  }
+  if (block.type === 'table') {
+    return (
+      <table key={index} className="text-sm border-collapse">
+        <thead>
+          <tr>{block.header.map((cell, cellIndex) => <th key={cellIndex} className="px-2 py-1 border bg-gray-50 text-left">{inline(cell)}</th>)}</tr>
+        </thead>
+        <tbody>
+          {block.rows.map((row, rowIndex) => (
+            <tr key={rowIndex}>{row.map((cell, cellIndex) => <td key={cellIndex} className="px-2 py-1 border">{inline(cell)}</td>)}</tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+  if (block.type === 'rule') {
+    return <hr key={index} className="border-gray-200" />;
+  }
+  return <p key={index}>{inline(block.text)}</p>;
+});
+
+/**
+ * Shows the content of a file node: highlighted source with line numbers,
+ * rendered Markdown or an image preview. Relative images in Markdown files
+ * are looked up in the tree; web images only load when clicked. Text files
+ * can be edited in place when onSave is given; Ctrl+S saves.
+ * @param {Object} props
+ * @param {Object} props.node - File node to show
+ * @param {Object} props.tree - Root folder node, for resolving relative images
+ * @param {Function} props.onClose - Called when the viewer is closed
+ * @param {Function} props.onSave - Called with the edited text; returns
+ * whether it was saved. Omit to make the viewer read-only.
+ * @param {boolean} props.editing - Whether the editor is open
+ * @param {Function} props.onEditingChange - Called to open or close the editor
+ * @param {string} props.className - Extra classes for the outer element
+ */
+const FileViewer = ({ node, tree, onClose, onSave = null, editing = false, onEditingChange = () => {}, className = '' }) => {
+  const [wrap, setWrap] = useState(false);
+  const [showSource, setShowSource] = useState(false);
+  // Edited text, null until the first change
+  const [draft, setDraft] = useState(null);
+
+  const preview = useMemo(() => getFilePreview(node), [node]);
+  const blocks = useMemo(() => (
+    preview.kind === 'markdown' ? parseMarkdownBlocks(preview.text) : []
+  ), [preview]);
+
+  // Images in the tree and data: URLs show right away, web images on request
+  const resolveImage = (src) => {
+    if (/^data:image\//i.test(src)) return { src, remote: false };
+    if (/^https?:/i.test(src)) return { src, remote: true };
+
+    const path = resolveLinkedPath(node.path, src);
+    const target = path && tree ? findNodeByPath(tree, path) : null;
+    if (target?.type !== 'file') return null;
+
+    const targetPreview = getFilePreview(target);
+    return targetPreview.kind === 'image' ? { src: targetPreview.src, remote: false } : null;
+  };
+
+  const canEdit = Boolean(onSave) && (preview.kind === 'text' || preview.kind === 'markdown');
+  const isEditing = editing && canEdit;
+  const isDirty = isEditing && draft !== null && draft !== preview.text;
+  const isCode = !isEditing && (preview.kind === 'text' || (preview.kind === 'markdown' && showSource));
+
+  const save = () => {
+    if (isDirty) onSave(draft);
+  };
+
+  const confirmDiscard = () => !isDirty || window.confirm(`Discard unsaved changes to ${node.name}?`);
+
+  const stopEditing = () => {
+    if (!confirmDiscard()) return;
+    setDraft(null);
+    onEditingChange(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (isEditing && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+      e.preventDefault();
+      save();
+    }
+  };
+
+  return (
+    <div className={`flex flex-col h-full min-w-0 bg-white ${className}`} onKeyDown={handleKeyDown}>
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-gray-200 bg-gray-50">
+        <div className="min-w-0 flex-1">
+          <div className="text-sm font-medium text-gray-800 truncate" title={node.path}>{node.name}</div>
+          <div className="text-xs text-gray-500 truncate">
+            {formatFileSize(node.size)} · {node.encoding || 'utf8'}
+            {preview.mimeType && ` · ${preview.mimeType}`}
+            {preview.language && ` · ${preview.language}`}
+            {isDirty && ' · unsaved'}
+          </div>
+        </div>
+        {isEditing && (
+          <>
+            <button
+              onClick={save}
+              disabled={!isDirty}
+              className="p-1 text-gray-500 hover:text-blue-600 disabled:opacity-40 disabled:hover:text-gray-500 rounded transition-colors"
+              title="Save (Ctrl+S)"
+            >
+              <Save className="w-4 h-4" />
+            </button>
+            <button
+              onClick={stopEditing}
+              className="p-1 text-gray-500 hover:text-blue-600 rounded transition-colors"
+              title="Back to the preview"
+            >
+              <Eye className="w-4 h-4" />
+            </button>
+          </>
+        )}
+        {canEdit && !isEditing && (
+          <button
+            onClick={() => onEditingChange(true)}
+            className="p-1 text-gray-500 hover:text-blue-600 rounded transition-colors"
+            title="Edit content"
+          >
+            <Pencil className="w-4 h-4" />
+          </button>
+        )}
+        {preview.kind === 'markdown' && !isEditing && (
+          <button
+            onClick={() => setShowSource(!showSource)}
+            className="p-1 text-gray-500 hover:text-blue-600 rounded transition-colors"
+            title={showSource ? 'Show rendered Markdown' : 'Show Markdown source'}
+          >
+            {showSource ? <Eye className="w-4 h-4" /> : <Code className="w-4 h-4" />}
+          </button>
+        )}
+        {isCode && (
+          <button
+            onClick={() => setWrap(!wrap)}
+            className={`p-1 rounded transition-colors ${wrap ? 'bg-blue-100 text-blue-700' : 'text-gray-500 hover:text-blue-600'}`}
+            title={wrap ? 'Disable line wrapping' : 'Wrap long lines'}
+            aria-pressed={wrap}
+          >
+            <WrapText className="w-4 h-4" />
+          </button>
+        )}
+        <button
+          onClick={() => confirmDiscard() && onClose()}
+          className="p-1 text-gray-500 hover:text-red-500 rounded transition-colors"
+          title="Close viewer"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {isEditing && (
+        <div className="flex-1 min-h-0 p-2">
+          <StructureEditor
+            value={draft ?? preview.text}
+            onChange={setDraft}
+            placeholder="Empty file"
+            className="h-full"
+          />
+        </div>
+      )}
+
+      {!isEditing && (
+        <div className="flex-1 overflow-auto">
+          {isCode && <CodeView text={preview.text} language={preview.language} wrap={wrap} />}
+          {preview.kind === 'markdown' && !showSource && (
+            <div className="p-4 space-y-3 text-sm text-gray-800 break-words">
+              <MarkdownBlocks blocks={blocks} resolveImage={resolveImage} />
+            </div>
+          )}
+          {preview.kind === 'image' && (
+            <div className="flex items-center justify-center h-full p-4 bg-[repeating-conic-gradient(#f3f4f6_0_25%,#fff_0_50%)] bg-[length:16px_16px]">
+              <img src={preview.src} alt={node.name} className="max-w-full max-h-full object-contain" />
+            </div>
+          )}
+          {(preview.kind === 'binary' || preview.kind === 'error') && (
+            <div className="flex flex-col items-center justify-center h-full p-4 text-sm text-gray-500 text-center">
+              <FileWarning className="w-8 h-8 mb-2 opacity-50" />
+              {preview.kind === 'binary' ? 'Binary file, no preview available' : preview.error}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FileViewer;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Upload, FolderUp, FileArchive } from 'lucide-react';
+
+const FolderDropZone = ({ onDrop, onChooseFolder, onChooseZip, isImporting = false, className = '' }) => {
+  const [isDragging, setIsDragging] = useState(false);
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDragging(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.stopPropagation();
+    setIsDragging(false);
+    onDrop(e);
+  };
+
+  return (
+    <div
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      className={`border-2 border-dashed rounded-md p-8 flex items-center justify-center transition-colors ${
+        isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+      } ${className}`}
+    >
+      <div className="text-center text-gray-500">
+        <Upload className="w-12 h-12 mx-auto mb-3 opacity-50" />
+        <p>{isImporting ? 'Reading files...' : 'Enter a valid structure, or drop a folder or ZIP file here'}</p>
+        <div className="mt-4 flex justify-center gap-3">
+          <button
+            onClick={onChooseFolder}
+            disabled={isImporting}
+            className="inline-flex items-center px-3 py-1.5 text-sm border border-gray-300 rounded-md bg-white hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            <FolderUp className="w-4 h-4 mr-1" />
+            Choose folder
+          </button>
+          <button
+            onClick={onChooseZip}
+            disabled={isImporting}
+            className="inline-flex items-center px-3 py-1.5 text-sm border border-gray-300 rounded-md bg-white hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            <FileArchive className="w-4 h-4 mr-1" />
+            Choose ZIP
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FolderDropZone;
@@ -0,0 +1,75 @@
+import React, { useEffect, useRef } from 'react';
+import { Redo2, Undo2 } from 'lucide-react';
+import { canRedo, canUndo } from '../utils/editHistory';
+
+const formatStepTime = (time) => new Date(time).toLocaleTimeString([], {
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+/**
+ * Lists the steps of an edit history, newest last. Clicking a step jumps to
+ * it; steps after the current one are shown faded until a new edit replaces
+ * them.
+ * @param {Object} props
+ * @param {Object} props.history - History from utils/editHistory
+ * @param {Function} props.onJump - Called with the index of a step
+ */
+const HistoryPanel = ({ history, onJump }) => {
+  const currentRef = useRef(null);
+
+  useEffect(() => {
+    currentRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [history.index]);
+
+  return (
+    <div className="text-sm">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <p className="font-medium text-gray-800">History</p>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => onJump(history.index - 1)}
+            disabled={!canUndo(history)}
+            className="p-1 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent"
+            title="Undo (Ctrl+Z)"
+          >
+            <Undo2 className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => onJump(history.index + 1)}
+            disabled={!canRedo(history)}
+            className="p-1 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <Redo2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+      <ol className="max-h-72 overflow-auto space-y-0.5">
+        {history.steps.map((step, index) => {
+          const isCurrent = index === history.index;
+          return (
+            <li key={step.id}>
+              <button
+                ref={isCurrent ? currentRef : null}
+                onClick={() => onJump(index)}
+                aria-current={isCurrent ? 'step' : undefined}
+                className={`flex w-full items-center gap-2 px-2 py-1 rounded text-left transition-colors ${
+                  isCurrent
+                    ? 'bg-blue-100 text-blue-800'
+                    : `hover:bg-gray-100 ${index > history.index ? 'text-gray-400' : 'text-gray-700'}`
+                }`}
+              >
+                <span className="min-w-0 flex-1 truncate" title={step.label}>{step.label}</span>
+                <span className="shrink-0 text-xs text-gray-400 tabular-nums">{formatStepTime(step.time)}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default HistoryPanel;
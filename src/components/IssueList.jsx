@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { AlertTriangle, ChevronDown, ChevronRight } from 'lucide-react';
+
+const VARIANTS = {
+  warning: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+  error: 'bg-red-50 border-red-200 text-red-700'
+};
+
+const COLLAPSED_LIMIT = 5;
+
+const IssueList = ({ title, issues, variant = 'warning', actions = null, className = '' }) => {
+  const [showAll, setShowAll] = useState(false);
+
+  if (!issues || issues.length === 0) return null;
+
+  const visible = showAll ? issues : issues.slice(0, COLLAPSED_LIMIT);
+
+  return (
+    <div className={`p-3 border rounded-md text-sm ${VARIANTS[variant]} ${className}`}>
+      <div className="flex items-center justify-between gap-2">
+        <p className="flex items-center font-medium">
+          <AlertTriangle className="w-4 h-4 mr-2 shrink-0" />
+          {title} ({issues.length})
+        </p>
+        {actions}
+      </div>
+      <ul className="mt-2 space-y-1">
+        {visible.map((issue, index) => (
+          <li key={`${issue.path}-${index}`} className="flex gap-2">
+            <code className="font-mono text-xs break-all">{issue.path || '(root)'}</code>
+            <span className="opacity-80">{issue.reason}</span>
+            {issue.fixedPath && (
+              <code className="font-mono text-xs break-all">→ {issue.fixedPath}</code>
+            )}
+          </li>
+        ))}
+      </ul>
+      {issues.length > COLLAPSED_LIMIT && (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          className="mt-2 inline-flex items-center text-xs font-medium underline"
+        >
+          {showAll ? <ChevronDown className="w-3 h-3 mr-1" /> : <ChevronRight className="w-3 h-3 mr-1" />}
+          {showAll ? 'Show fewer' : `Show all ${issues.length}`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default IssueList;
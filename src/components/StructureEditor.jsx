@@ -0,0 +1,107 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import { getOffset } from '../utils/structureParser';
+
+// Must match the textarea's line height (leading-5) and vertical padding (p-3)
+const LINE_HEIGHT = 20;
+const PADDING_TOP = 12;
+// Line numbers rendered above and below the visible ones
+const OVERSCAN_LINES = 20;
+
+const countLines = (text) => {
+  let count = 1;
+  for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+    count++;
+  }
+  return count;
+};
+
+const StructureEditor = forwardRef(({ value, onChange, placeholder, errorLine = null, className = 'h-96' }, ref) => {
+  const textareaRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  const lineCount = useMemo(() => countLines(value), [value]);
+
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    setViewportHeight(textarea.clientHeight);
+    const observer = new ResizeObserver(() => setViewportHeight(textarea.clientHeight));
+    observer.observe(textarea);
+    return () => observer.disconnect();
+  }, []);
+
+  // Replacing the text with a shorter one can move the scroll position
+  useEffect(() => {
+    setScrollTop(textareaRef.current.scrollTop);
+  }, [value]);
+
+  // Only the line numbers in view are rendered, so long documents type as
+  // fast as short ones
+  const firstLine = Math.max(0, Math.floor((scrollTop - PADDING_TOP) / LINE_HEIGHT) - OVERSCAN_LINES);
+  const lastLine = Math.min(lineCount, Math.ceil((scrollTop + viewportHeight) / LINE_HEIGHT) + OVERSCAN_LINES);
+
+  useImperativeHandle(ref, () => ({
+    // Focuses the editor and selects the character at a 1-based position
+    revealPosition: (line, column = 1) => {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+
+      const offset = getOffset(value, line, column);
+      textarea.focus();
+      textarea.setSelectionRange(offset, Math.min(offset + 1, value.length));
+      textarea.scrollTop = Math.max(0, (line - 1) * LINE_HEIGHT - textarea.clientHeight / 2);
+    },
+    focus: () => textareaRef.current?.focus(),
+    // Whether an element is the editor's textarea
+    contains: (element) => element === textareaRef.current
+  }), [value]);
+
+  return (
+    <div className={`relative flex border border-gray-300 rounded-md overflow-hidden focus-within:ring-2 focus-within:ring-blue-500 ${className}`}>
+      <div
+        className="shrink-0 overflow-hidden bg-gray-50 border-r border-gray-200 text-right font-mono text-xs leading-5 text-gray-400 select-none"
+        style={{ width: `calc(${String(lineCount).length}ch + 1rem)` }}
+        aria-hidden="true"
+      >
+        <div style={{ transform: `translateY(${PADDING_TOP + firstLine * LINE_HEIGHT - scrollTop}px)` }}>
+          {Array.from({ length: lastLine - firstLine }, (_, offset) => {
+            const line = firstLine + offset + 1;
+            return (
+              <div
+                key={line}
+                className={`px-2 ${line === errorLine ? 'bg-red-200 text-red-700 font-semibold' : ''}`}
+              >
+                {line}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="relative flex-1 min-w-0">
+        {errorLine !== null && (
+          <div
+            className="absolute inset-x-0 bg-red-100 pointer-events-none"
+            style={{ top: PADDING_TOP + (errorLine - 1) * LINE_HEIGHT - scrollTop, height: LINE_HEIGHT }}
+            aria-hidden="true"
+          />
+        )}
+        <textarea
+          ref={textareaRef}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onScroll={(e) => setScrollTop(e.target.scrollTop)}
+          placeholder={placeholder}
+          wrap="off"
+          spellCheck={false}
+          aria-invalid={errorLine !== null}
+          className="relative w-full h-full p-3 bg-transparent font-mono text-sm leading-5 resize-none focus:outline-none"
+        />
+      </div>
+    </div>
+  );
+});
+
+StructureEditor.displayName = 'StructureEditor';
+
+export default StructureEditor;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Copy, FilePen, FilePlus, FolderPlus, Pencil, Trash2 } from 'lucide-react';
+import {
+  ContextMenu,
+  ContextMenuContent,
+  ContextMenuItem,
+  ContextMenuLabel,
+  ContextMenuSeparator,
+  ContextMenuTrigger
+} from './ui/context-menu';
+import { findNodeByPath } from '../utils/treeRows';
+
+/**
+ * Context menu with the edit actions of a tree view. One menu serves the
+ * whole list: rows mark themselves with a data-tree-path attribute, and
+ * right-clicking outside any row targets the root folder.
+ * @param {Object} props
+ * @param {Object} props.tree - Root folder node
+ * @param {boolean} props.disabled - Show the browser's own menu instead
+ * @param {Function} props.onAction - Called with the action ('newFile',
+ * 'newFolder', 'edit', 'rename', 'duplicate' or 'delete') and the target
+ * node, null for the root
+ * @param {React.ReactNode} props.children - The element to attach the menu
+ * to; must accept a ref
+ */
+const TreeContextMenu = ({ tree, disabled = false, onAction, children }) => {
+  const [target, setTarget] = useState(null);
+
+  const handleContextMenu = (e) => {
+    const row = e.target.closest('[data-tree-path]');
+    setTarget(row ? findNodeByPath(tree, row.dataset.treePath) : null);
+  };
+
+  return (
+    <ContextMenu>
+      <ContextMenuTrigger asChild disabled={disabled} onContextMenu={handleContextMenu}>
+        {children}
+      </ContextMenuTrigger>
+      <ContextMenuContent className="w-48" onCloseAutoFocus={(e) => e.preventDefault()}>
+        <ContextMenuLabel className="truncate text-xs text-gray-500">
+          {target ? target.path : 'Root folder'}
+        </ContextMenuLabel>
+        <ContextMenuSeparator />
+        <ContextMenuItem onSelect={() => onAction('newFile', target)}>
+          <FilePlus className="w-4 h-4 mr-2" />
+          New file
+        </ContextMenuItem>
+        <ContextMenuItem onSelect={() => onAction('newFolder', target)}>
+          <FolderPlus className="w-4 h-4 mr-2" />
+          New folder
+        </ContextMenuItem>
+        {target && (
+          <>
+            <ContextMenuSeparator />
+            {target.type === 'file' && (
+              <ContextMenuItem onSelect={() => onAction('edit', target)}>
+                <FilePen className="w-4 h-4 mr-2" />
+                Edit content
+              </ContextMenuItem>
+            )}
+            <ContextMenuItem onSelect={() => onAction('rename', target)}>
+              <Pencil className="w-4 h-4 mr-2" />
+              Rename
+            </ContextMenuItem>
+            <ContextMenuItem onSelect={() => onAction('duplicate', target)}>
+              <Copy className="w-4 h-4 mr-2" />
+              Duplicate
+            </ContextMenuItem>
+            <ContextMenuItem onSelect={() => onAction('delete', target)} className="text-red-600 focus:text-red-700">
+              <Trash2 className="w-4 h-4 mr-2" />
+              Delete
+            </ContextMenuItem>
+          </>
+        )}
+      </ContextMenuContent>
+    </ContextMenu>
+  );
+};
+
+export default TreeContextMenu;
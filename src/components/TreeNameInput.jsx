@@ -0,0 +1,57 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { validateEntryName } from '../utils/structureEdits';
+
+/**
+ * Inline input for naming a tree entry. Enter or leaving the field commits,
+ * Escape cancels. The name is preselected up to its extension.
+ * @param {Object} props
+ * @param {string} props.initialName - The current name
+ * @param {Function} props.onCommit - Called with the new name
+ * @param {Function} props.onCancel - Called when editing is abandoned
+ */
+const TreeNameInput = ({ initialName, onCommit, onCancel }) => {
+  const inputRef = useRef(null);
+  const doneRef = useRef(false);
+  const [name, setName] = useState(initialName);
+  const problem = validateEntryName(name);
+
+  useEffect(() => {
+    const input = inputRef.current;
+    const dot = initialName.lastIndexOf('.');
+    input.focus();
+    input.setSelectionRange(0, dot > 0 ? dot : initialName.length);
+  }, [initialName]);
+
+  // Blur follows Enter and Escape when the input unmounts, so finish once
+  const finish = (commit) => {
+    if (doneRef.current) return;
+    doneRef.current = true;
+    if (commit && !problem && name !== initialName) {
+      onCommit(name);
+    } else {
+      onCancel();
+    }
+  };
+
+  return (
+    <input
+      ref={inputRef}
+      value={name}
+      onChange={(e) => setName(e.target.value)}
+      onKeyDown={(e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+      }}
+      onBlur={() => finish(true)}
+      onClick={(e) => e.stopPropagation()}
+      title={problem || undefined}
+      aria-invalid={Boolean(problem)}
+      className={`min-w-0 flex-1 px-1 py-0 text-sm border rounded outline-none bg-white ${
+        problem ? 'border-red-400' : 'border-blue-400'
+      }`}
+    />
+  );
+};
+
+export default TreeNameInput;
@@ -0,0 +1,74 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+const DEFAULT_ROW_HEIGHT = 28;
+const OVERSCAN_ROWS = 10;
+
+/**
+ * Scrollable list that only renders the rows in view, so trees with
+ * hundreds of thousands of visible entries scroll smoothly. Every row has
+ * the same fixed height.
+ * @param {Object} props
+ * @param {Array} props.rows - Rows to show, e.g. from flattenTree
+ * @param {Function} props.renderRow - Renders one row; called with the row
+ * and its index
+ * @param {Function} props.getRowKey - Returns a stable key for a row
+ * @param {number} props.rowHeight - Height of every row in pixels
+ * @param {string} props.className - Classes for the scroll container,
+ * which must give it a height
+ */
+const VirtualTreeList = ({ rows, renderRow, getRowKey, rowHeight = DEFAULT_ROW_HEIGHT, className = '' }) => {
+  const containerRef = useRef(null);
+  const frameRef = useRef(0);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    setViewportHeight(container.clientHeight);
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    observer.observe(container);
+    return () => {
+      observer.disconnect();
+      cancelAnimationFrame(frameRef.current);
+    };
+  }, []);
+
+  // Collapsing a folder can shrink the list below the scroll position
+  useEffect(() => {
+    if (containerRef.current) {
+      setScrollTop(containerRef.current.scrollTop);
+    }
+  }, [rows]);
+
+  // Scroll events can fire faster than the screen refreshes
+  const handleScroll = () => {
+    cancelAnimationFrame(frameRef.current);
+    frameRef.current = requestAnimationFrame(() => {
+      if (containerRef.current) {
+        setScrollTop(containerRef.current.scrollTop);
+      }
+    });
+  };
+
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN_ROWS);
+  const last = Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / rowHeight) + OVERSCAN_ROWS);
+
+  return (
+    <div ref={containerRef} className={`overflow-y-auto ${className}`} onScroll={handleScroll}>
+      <div style={{ height: rows.length * rowHeight, position: 'relative' }}>
+        {rows.slice(first, last).map((row, offset) => (
+          <div
+            key={getRowKey(row)}
+            style={{ position: 'absolute', top: (first + offset) * rowHeight, left: 0, right: 0, height: rowHeight }}
+          >
+            {renderRow(row, first + offset)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default VirtualTreeList;
@@ -0,0 +1,155 @@
+/**
+ * AES block cipher (encryption only) and the counter mode used by WinZip
+ * AES encrypted ZIP entries. WebCrypto's AES-CTR increments a big-endian
+ * counter, while WinZip increments a little-endian one, so the keystream
+ * is produced here instead.
+ */
+
+const SBOX = new Uint8Array(256);
+const T0 = new Uint32Array(256);
+const T1 = new Uint32Array(256);
+const T2 = new Uint32Array(256);
+const T3 = new Uint32Array(256);
+
+// Multiplication by x in GF(2^8)
+const xtime = (value) => ((value << 1) ^ (value & 0x80 ? 0x1b : 0)) & 0xff;
+
+const rotateByte = (value, shift) => ((value << shift) | (value >>> (8 - shift))) & 0xff;
+
+const rotateWord = (value, shift) => ((value >>> shift) | (value << (32 - shift))) >>> 0;
+
+// Builds the S-box by walking the multiplicative group with generator 3 and
+// its inverse, then the combined SubBytes/MixColumns lookup tables
+const buildTables = () => {
+  let p = 1;
+  let q = 1;
+  do {
+    p = p ^ xtime(p);
+    q ^= q << 1;
+    q ^= q << 2;
+    q ^= q << 4;
+    q &= 0xff;
+    if (q & 0x80) q ^= 0x09;
+    SBOX[p] = q ^ rotateByte(q, 1) ^ rotateByte(q, 2) ^ rotateByte(q, 3) ^ rotateByte(q, 4) ^ 0x63;
+  } while (p !== 1);
+  SBOX[0] = 0x63;
+
+  for (let index = 0; index < 256; index++) {
+    const s = SBOX[index];
+    const s2 = xtime(s);
+    const word = ((s2 << 24) | (s << 16) | (s << 8) | (s2 ^ s)) >>> 0;
+    T0[index] = word;
+    T1[index] = rotateWord(word, 8);
+    T2[index] = rotateWord(word, 16);
+    T3[index] = rotateWord(word, 24);
+  }
+};
+
+buildTables();
+
+const subWord = (word) => (
+  ((SBOX[word >>> 24] << 24) | (SBOX[(word >>> 16) & 0xff] << 16) |
+  (SBOX[(word >>> 8) & 0xff] << 8) | SBOX[word & 0xff]) >>> 0
+);
+
+const expandKey = (key) => {
+  const keyWords = key.length / 4;
+  const rounds = keyWords + 6;
+  const words = new Uint32Array(4 * (rounds + 1));
+  let rcon = 1;
+
+  for (let index = 0; index < words.length; index++) {
+    if (index < keyWords) {
+      words[index] = ((key[4 * index] << 24) | (key[4 * index + 1] << 16) |
+        (key[4 * index + 2] << 8) | key[4 * index + 3]) >>> 0;
+      continue;
+    }
+
+    let word = words[index - 1];
+    if (index % keyWords === 0) {
+      word = (subWord(rotateWord(word, 24)) ^ (rcon << 24)) >>> 0;
+      rcon = xtime(rcon);
+    } else if (keyWords > 6 && index % keyWords === 4) {
+      word = subWord(word);
+    }
+    words[index] = (words[index - keyWords] ^ word) >>> 0;
+  }
+
+  return { words, rounds };
+};
+
+/**
+ * Prepares an AES key for encrypting single blocks
+ * @param {Uint8Array} key - 16, 24 or 32 byte key (AES-128, -192 or -256)
+ * @returns {Function} - encryptBlock(input, output) writing the 16 byte
+ * ciphertext of input into output
+ */
+export const createAesEncryptor = (key) => {
+  if (![16, 24, 32].includes(key.length)) {
+    throw new Error(`AES keys are 16, 24 or 32 bytes, got ${key.length}`);
+  }
+  const { words, rounds } = expandKey(key);
+
+  return (input, output) => {
+    let s0 = (((input[0] << 24) | (input[1] << 16) | (input[2] << 8) | input[3]) ^ words[0]) >>> 0;
+    let s1 = (((input[4] << 24) | (input[5] << 16) | (input[6] << 8) | input[7]) ^ words[1]) >>> 0;
+    let s2 = (((input[8] << 24) | (input[9] << 16) | (input[10] << 8) | input[11]) ^ words[2]) >>> 0;
+    let s3 = (((input[12] << 24) | (input[13] << 16) | (input[14] << 8) | input[15]) ^ words[3]) >>> 0;
+
+    for (let round = 1; round < rounds; round++) {
+      const offset = 4 * round;
+      const t0 = T0[s0 >>> 24] ^ T1[(s1 >>> 16) & 0xff] ^ T2[(s2 >>> 8) & 0xff] ^ T3[s3 & 0xff] ^ words[offset];
+      const t1 = T0[s1 >>> 24] ^ T1[(s2 >>> 16) & 0xff] ^ T2[(s3 >>> 8) & 0xff] ^ T3[s0 & 0xff] ^ words[offset + 1];
+      const t2 = T0[s2 >>> 24] ^ T1[(s3 >>> 16) & 0xff] ^ T2[(s0 >>> 8) & 0xff] ^ T3[s1 & 0xff] ^ words[offset + 2];
+      const t3 = T0[s3 >>> 24] ^ T1[(s0 >>> 16) & 0xff] ^ T2[(s1 >>> 8) & 0xff] ^ T3[s2 & 0xff] ^ words[offset + 3];
+      s0 = t0 >>> 0;
+      s1 = t1 >>> 0;
+      s2 = t2 >>> 0;
+      s3 = t3 >>> 0;
+    }
+
+    // The last round skips MixColumns
+    const offset = 4 * rounds;
+    const state = [s0, s1, s2, s3];
+    for (let column = 0; column < 4; column++) {
+      const word = ((SBOX[state[column] >>> 24] << 24) |
+        (SBOX[(state[(column + 1) % 4] >>> 16) & 0xff] << 16) |
+        (SBOX[(state[(column + 2) % 4] >>> 8) & 0xff] << 8) |
+        SBOX[state[(column + 3) % 4] & 0xff]) ^ words[offset + column];
+      output[4 * column] = word >>> 24;
+      output[4 * column + 1] = (word >>> 16) & 0xff;
+      output[4 * column + 2] = (word >>> 8) & 0xff;
+      output[4 * column + 3] = word & 0xff;
+    }
+  };
+};
+
+/**
+ * Encrypts (or decrypts, the operation is symmetric) data with AES in the
+ * counter mode of the WinZip AES specification: the counter is a 16 byte
+ * little-endian integer starting at 1
+ * @param {Uint8Array} key - AES key
+ * @param {Uint8Array} data - Data to transform
+ * @returns {Uint8Array} - Transformed copy of the data
+ */
+export const aesCtrLittleEndian = (key, data) => {
+  const encryptBlock = createAesEncryptor(key);
+  const counter = new Uint8Array(16);
+  const keystream = new Uint8Array(16);
+  const result = new Uint8Array(data.length);
+
+  for (let offset = 0; offset < data.length; offset += 16) {
+    for (let index = 0; index < 16; index++) {
+      counter[index] = (counter[index] + 1) & 0xff;
+      if (counter[index] !== 0) break;
+    }
+    encryptBlock(counter, keystream);
+
+    const end = Math.min(offset + 16, data.length);
+    for (let index = offset; index < end; index++) {
+      result[index] = data[index] ^ keystream[index - offset];
+    }
+  }
+
+  return result;
+};
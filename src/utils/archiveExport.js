@@ -0,0 +1,89 @@
+import { addChecksumFiles } from './checksums';
+import { generateZipFromTree } from './conversionEngine';
+import { generateEncryptedZipFromTree } from './encryptedZipWriter';
+import { writeZipToStream } from './streamingZipWriter';
+import { ARCHIVE_FORMATS, resolveArchiveFilename, toArchiveOptions } from './exportOptions';
+import { generateGzipFromTree, generateTarFromTree, isSingleFileTree } from './tarWriter';
+
+/**
+ * Lists the archive formats a tree can be written as
+ * @param {Object} tree - Root folder node
+ * @returns {string[]} - Values of ARCHIVE_FORMATS
+ */
+export const getAvailableFormats = (tree) => (
+  Object.values(ARCHIVE_FORMATS).filter(format => format !== ARCHIVE_FORMATS.GZ || isSingleFileTree(tree))
+);
+
+/**
+ * Writes a tree in the format chosen in the export options
+ * @param {Object} tree - Root folder node
+ * @param {Object} exportOptions - Options from the export dialog
+ * @param {Object} callbacks - Optional callbacks
+ * @param {Function} callbacks.onProgress - Called with { percent, currentFile }
+ * as each entry is written
+ * @returns {Promise<Object>} - Object with the archive blob and its download filename
+ */
+export const generateArchive = async (tree, exportOptions, { onProgress = null } = {}) => {
+  const format = exportOptions.format || ARCHIVE_FORMATS.ZIP;
+
+  // A .gz file holds a single file and is named after it
+  if (format === ARCHIVE_FORMATS.GZ) {
+    const blob = await generateGzipFromTree(tree, toArchiveOptions(exportOptions, ''));
+    return { blob, filename: `${tree.children[0].name}.gz` };
+  }
+
+  const filename = resolveArchiveFilename(exportOptions);
+  const archiveOptions = { ...toArchiveOptions(exportOptions, filename), onProgress };
+  const contents = await addChecksumFiles(tree, {
+    sha256sums: exportOptions.sha256sums,
+    manifest: exportOptions.manifest
+  });
+
+  if (format === ARCHIVE_FORMATS.ZIP && exportOptions.password) {
+    const blob = await generateEncryptedZipFromTree(contents, { ...archiveOptions, password: exportOptions.password });
+    return { blob, filename };
+  }
+  if (format === ARCHIVE_FORMATS.ZIP) {
+    return { blob: await generateZipFromTree(contents, archiveOptions), filename };
+  }
+  if (format === ARCHIVE_FORMATS.TAR || format === ARCHIVE_FORMATS.TAR_GZ) {
+    const gzip = format === ARCHIVE_FORMATS.TAR_GZ;
+    return { blob: await generateTarFromTree(contents, { ...archiveOptions, gzip }), filename };
+  }
+  throw new Error(`Unknown archive format "${format}"`);
+};
+
+/**
+ * Checks whether the export options can be written with streamArchive.
+ * Only unencrypted ZIP archives are streamed.
+ * @param {Object} exportOptions - Options from the export dialog
+ * @returns {boolean} - True if the archive can be streamed
+ */
+export const isStreamableExport = (exportOptions) => (
+  (exportOptions.format || ARCHIVE_FORMATS.ZIP) === ARCHIVE_FORMATS.ZIP && !exportOptions.password
+);
+
+/**
+ * Writes a tree as a ZIP archive into a stream, chunk by chunk, with ZIP64
+ * records where the archive needs them
+ * @param {Object} tree - Root folder node
+ * @param {Object} exportOptions - Options from the export dialog
+ * @param {WritableStream} writable - Stream receiving the archive bytes
+ * @param {Object} callbacks - Optional callbacks
+ * @param {Function} callbacks.onProgress - Called with { percent, currentFile }
+ * as each entry is written
+ * @returns {Promise<Object>} - Object with the download filename and the archive size
+ */
+export const streamArchive = async (tree, exportOptions, writable, { onProgress = null } = {}) => {
+  if (!isStreamableExport(exportOptions)) {
+    throw new Error('Only unencrypted ZIP archives can be streamed');
+  }
+
+  const filename = resolveArchiveFilename(exportOptions);
+  const contents = await addChecksumFiles(tree, {
+    sha256sums: exportOptions.sha256sums,
+    manifest: exportOptions.manifest
+  });
+  const size = await writeZipToStream(contents, writable, { ...toArchiveOptions(exportOptions, filename), onProgress });
+  return { filename, size };
+};
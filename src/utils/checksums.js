@@ -0,0 +1,225 @@
+import { createFileNode, getFileData } from './conversionEngine';
+
+const encoder = new TextEncoder();
+
+/**
+ * Computes the SHA-256 digest of some data with WebCrypto
+ * @param {Blob|ArrayBuffer|Uint8Array|string} data - Data to hash; strings are hashed as UTF-8
+ * @returns {Promise<string>} - Lowercase hexadecimal digest
+ */
+export const sha256Hex = async (data) => {
+  let bytes = data;
+  if (typeof data === 'string') {
+    bytes = encoder.encode(data);
+  } else if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    bytes = await data.arrayBuffer();
+  }
+
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Names of the checksum files embedded at the root of generated archives
+ */
+export const CHECKSUM_FILES = {
+  SHA256SUMS: 'SHA256SUMS',
+  MANIFEST: 'manifest.json'
+};
+
+const CHECKSUM_FILE_NAMES = new Set(Object.values(CHECKSUM_FILES));
+const SHA256SUMS_LINE = /^([0-9a-fA-F]{64}) [ *](.+)$/;
+
+const joinPath = (basePath, name) => (basePath ? `${basePath}/${name}` : name);
+
+/**
+ * Hashes every file of a tree
+ * @param {Object} tree - Root folder node
+ * @param {Object} options - Hashing options
+ * @param {string[]} options.exclude - Names of root files to leave out, e.g.
+ * the checksum files being generated
+ * @returns {Promise<Object[]>} - Entries as { path, size, sha256 }, sorted by path
+ */
+export const hashTreeFiles = async (tree, { exclude = [] } = {}) => {
+  const files = [];
+
+  const collect = (node, basePath) => {
+    const path = joinPath(basePath, node.name);
+    if (node.type === 'folder') {
+      node.children.forEach(child => collect(child, path));
+    } else if (node.type === 'file' && !(basePath === '' && exclude.includes(node.name))) {
+      files.push({ path, node });
+    }
+  };
+  tree.children.forEach(child => collect(child, ''));
+
+  const entries = [];
+  for (const { path, node } of files) {
+    if (node.error) {
+      throw new Error(`${path}: ${node.error}`);
+    }
+    const data = getFileData({ ...node, path });
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    entries.push({ path, size: bytes.length, sha256: await sha256Hex(bytes) });
+  }
+
+  return entries.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+};
+
+// Names of the checksum files the options ask for
+const getChecksumFileNames = ({ sha256sums = false, manifest = false }) => [
+  ...(sha256sums ? [CHECKSUM_FILES.SHA256SUMS] : []),
+  ...(manifest ? [CHECKSUM_FILES.MANIFEST] : [])
+];
+
+/**
+ * Finds root entries that have the name of a checksum file to be embedded,
+ * e.g. a web app's own manifest.json
+ * @param {Object} tree - Root folder node
+ * @param {Object} options - Which files to embed, as for addChecksumFiles
+ * @returns {string[]} - The names in use
+ */
+export const findChecksumFileConflicts = (tree, options) => {
+  const names = getChecksumFileNames(options);
+  return tree.children.filter(child => names.includes(child.name)).map(child => child.name);
+};
+
+/**
+ * Returns a copy of a tree with SHA256SUMS and/or manifest.json added at the
+ * root. SHA256SUMS uses the format of `sha256sum`, so
+ * `sha256sum -c SHA256SUMS` verifies an extracted archive.
+ * @param {Object} tree - Root folder node
+ * @param {Object} options - Which files to embed
+ * @param {boolean} options.sha256sums - Add a SHA256SUMS file
+ * @param {boolean} options.manifest - Add a manifest.json with paths, sizes and hashes
+ * @returns {Promise<Object>} - Root folder node
+ * @throws {Error} - When the root already has an entry with one of the names
+ */
+export const addChecksumFiles = async (tree, { sha256sums = false, manifest = false } = {}) => {
+  if (!sha256sums && !manifest) return tree;
+
+  const conflicts = findChecksumFileConflicts(tree, { sha256sums, manifest });
+  if (conflicts.length > 0) {
+    throw new Error(`The structure already has ${conflicts.join(' and ')} at the root; rename it or turn off embedding ${conflicts.length > 1 ? 'them' : 'it'}`);
+  }
+
+  const entries = await hashTreeFiles(tree, { exclude: getChecksumFileNames({ sha256sums, manifest }) });
+  const added = [];
+
+  if (sha256sums) {
+    added.push(createFileNode(
+      CHECKSUM_FILES.SHA256SUMS,
+      CHECKSUM_FILES.SHA256SUMS,
+      entries.map(({ path, sha256 }) => `${sha256}  ${path}\n`).join('')
+    ));
+  }
+  if (manifest) {
+    added.push(createFileNode(
+      CHECKSUM_FILES.MANIFEST,
+      CHECKSUM_FILES.MANIFEST,
+      `${JSON.stringify({ algorithm: 'SHA-256', files: entries }, null, 2)}\n`
+    ));
+  }
+
+  return { ...tree, children: [...tree.children, ...added] };
+};
+
+/**
+ * Reads the checksums listed in a SHA256SUMS or manifest.json file
+ * @returns {Map|null} - Map from path to { sha256, size }, or null when the
+ * file is not a checksum list (e.g. an unrelated manifest.json)
+ */
+const parseChecksumFile = (name, text) => {
+  const checksums = new Map();
+
+  if (name === CHECKSUM_FILES.SHA256SUMS) {
+    for (const line of text.split(/\r?\n/)) {
+      const match = line.match(SHA256SUMS_LINE);
+      if (match) {
+        checksums.set(match[2].replace(/^\.\//, ''), { sha256: match[1].toLowerCase(), size: null });
+      } else if (line.trim()) {
+        return null;
+      }
+    }
+    return checksums;
+  }
+
+  try {
+    const { files } = JSON.parse(text);
+    if (!Array.isArray(files) || !files.every(file => typeof file?.path === 'string' && typeof file?.sha256 === 'string')) {
+      return null;
+    }
+    files.forEach(({ path, sha256, size }) => {
+      checksums.set(path, { sha256: sha256.toLowerCase(), size: typeof size === 'number' ? size : null });
+    });
+    return checksums;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Verifies the files of an archive against the SHA256SUMS and manifest.json
+ * it contains. Checksum files are looked up in the shallowest folder that
+ * has one, so archives wrapped in a root folder are verified as well.
+ * @param {Map<string, Uint8Array>} files - File contents by archive path
+ * @param {Object} options - Verification options
+ * @param {Set<string>} options.skipped - Archive paths that were left out on
+ * import, reported as skipped rather than missing
+ * @returns {Promise<Object|null>} - Object with the checksum files used
+ * (sources), the number of files checked and problems ({ path, reason }),
+ * or null when the archive has no checksum file
+ */
+export const verifyChecksums = async (files, { skipped = new Set() } = {}) => {
+  const candidates = [...files.keys()]
+    .filter(path => CHECKSUM_FILE_NAMES.has(path.split('/').pop()))
+    .sort((a, b) => a.split('/').length - b.split('/').length);
+  if (candidates.length === 0) return null;
+
+  const folderOf = path => path.split('/').slice(0, -1).join('/');
+  const basePath = folderOf(candidates[0]);
+  const sources = [];
+  const listed = new Map();
+
+  candidates
+    .filter(path => folderOf(path) === basePath)
+    .forEach((path) => {
+      const name = path.split('/').pop();
+      const checksums = parseChecksumFile(name, new TextDecoder().decode(files.get(path)));
+      if (!checksums) return;
+
+      sources.push(name);
+      checksums.forEach((expected, relativePath) => {
+        listed.set(relativePath, { ...listed.get(relativePath), ...expected, source: name });
+      });
+    });
+  if (sources.length === 0) return null;
+
+  const problems = [];
+
+  for (const [relativePath, expected] of listed) {
+    const path = joinPath(basePath, relativePath);
+    const bytes = files.get(path);
+
+    if (!bytes && skipped.has(path)) {
+      problems.push({ path, reason: `Listed in ${expected.source} but skipped on import` });
+    } else if (!bytes) {
+      problems.push({ path, reason: `Listed in ${expected.source} but missing from the archive` });
+    } else if (expected.size !== null && expected.size !== undefined && expected.size !== bytes.length) {
+      problems.push({ path, reason: `Size is ${bytes.length} bytes, ${expected.source} says ${expected.size}` });
+    } else if (await sha256Hex(bytes) !== expected.sha256) {
+      problems.push({ path, reason: `SHA-256 does not match ${expected.source}` });
+    }
+  }
+
+  const prefix = basePath ? `${basePath}/` : '';
+  files.forEach((_, path) => {
+    const relativePath = path.startsWith(prefix) ? path.slice(prefix.length) : null;
+    const isChecksumFile = relativePath !== null && sources.includes(relativePath);
+    if (!isChecksumFile && (relativePath === null || !listed.has(relativePath))) {
+      problems.push({ path, reason: `Not listed in ${sources.join(' or ')}` });
+    }
+  });
+
+  return { sources, checked: listed.size, problems };
+};
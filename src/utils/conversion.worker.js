@@ -0,0 +1,76 @@
+import { generateArchive, streamArchive } from './archiveExport';
+import { buildFileTree } from './conversionEngine';
+import { openTargetStream } from './downloadTargets';
+import { parseMarkdownBundle } from './markdownBundle';
+import { checkPortability } from './portability';
+import {
+  detectInputFormat,
+  INPUT_FORMATS,
+  parseStructureInput,
+  StructureParseError
+} from './structureParser';
+
+/**
+ * Worker running the expensive steps off the main thread: parsing the
+ * structure text, building the file tree and writing archives. Requests are
+ * { id, type, payload } messages; replies carry the same id and a type of
+ * 'result', 'error' or 'progress'.
+ */
+
+// Errors lose their class when posted, so keep what the UI needs
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  details: err.details || null,
+  parseError: err instanceof StructureParseError
+    ? {
+      reason: err.reason,
+      format: err.format,
+      line: err.line,
+      column: err.column,
+      offset: err.offset,
+      excerpt: err.excerpt
+    }
+    : null
+});
+
+// Parses structure text along with what the editor shows about it: the
+// format auto detection settled on and Markdown fences that map to no file.
+// Failed parses carry the same details
+const parseWithDetails = ({ text, format }) => {
+  const detectedFormat = format === INPUT_FORMATS.AUTO ? detectInputFormat(text) : format;
+  const unmapped = detectedFormat === INPUT_FORMATS.MARKDOWN ? parseMarkdownBundle(text).unmapped : [];
+
+  try {
+    return { structure: parseStructureInput(text, { format: detectedFormat }), detectedFormat, unmapped };
+  } catch (err) {
+    err.details = { detectedFormat, unmapped };
+    throw err;
+  }
+};
+
+// Builds the file tree and checks its names for portability
+const buildTreeWithChecks = ({ structure, options }) => {
+  const tree = buildFileTree(structure, options);
+  return { tree, portabilityProblems: checkPortability(tree).problems };
+};
+
+const handlers = {
+  parse: parseWithDetails,
+  buildTree: buildTreeWithChecks,
+  generate: ({ tree, exportOptions }, id) => generateArchive(tree, exportOptions, {
+    onProgress: progress => self.postMessage({ id, type: 'progress', progress })
+  }),
+  stream: async ({ tree, exportOptions, target }, id) => streamArchive(tree, exportOptions, await openTargetStream(target), {
+    onProgress: progress => self.postMessage({ id, type: 'progress', progress })
+  })
+};
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  try {
+    const result = await handlers[type](payload, id);
+    self.postMessage({ id, type: 'result', result });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', error: serializeError(err) });
+  }
+};
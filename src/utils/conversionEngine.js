@@ -0,0 +1,515 @@
+import JSZip from 'jszip';
+import { base64ToBytes, hexToBytes, isFileObject, resolveFileContent } from './encodingUtils';
+import {
+  DEFAULT_FILE_MODE,
+  DEFAULT_FOLDER_MODE,
+  parseFileMode,
+  parseModificationTime
+} from './fileMetadata';
+import {
+  assertSafeTree,
+  findNameProblems,
+  findPathProblems,
+  findSymlinkProblems,
+  PATH_POLICIES,
+  sanitizePath
+} from './pathSafety';
+
+/**
+ * Conversion engine shared by every entry point that turns JSON into files.
+ *
+ * Input data is first mapped into a file tree, which previews render and
+ * archive writers consume. The tree model is:
+ *
+ *   FolderNode  { type: 'folder', name, path, children: Node[] }
+ *   FileNode    { type: 'file', name, path, content, encoding, mimeType, size, binary, mode, mtime, error }
+ *   SymlinkNode { type: 'symlink', name, path, target, error }
+ *
+ * `path` is the slash separated location relative to the root ('' for the
+ * root itself). `content` is always a string encoded as `encoding`
+ * ('utf8', 'base64' or 'hex'); use getFileData to obtain the bytes to write.
+ * `mode` (permission bits) and `mtime` (Date) are null unless the file
+ * object specifies them. `error` is set when the content cannot be decoded
+ * or the metadata is invalid. `{ type: "symlink", target }` values become
+ * symlink nodes; targets must resolve to a location inside the archive.
+ *
+ * In structure mode keys may be slash separated paths ("src/a/b.js"); they
+ * are expanded into real folders and merged with nested keys. Data may also
+ * be a manifest, an array of { path, content, encoding, mode, mtime }
+ * records, in either mode. Problems such as a path used for both a file and
+ * a folder are listed on the root node as `issues: [{ path, reason }]`; the
+ * first definition wins.
+ *
+ * With the `executableScripts` option, text files starting with a shebang
+ * ("#!") and no explicit mode get mode 755.
+ *
+ * Keys that would escape the extraction folder (absolute paths, drive
+ * letters, "..", NUL characters) are listed as `unsafePaths: [{ path,
+ * reason, fixedPath }]` on the root. With the "fix" path policy they are
+ * rewritten to `fixedPath`; with "block" they are kept, the node gets an
+ * `unsafe` reason and the archive writers refuse the tree.
+ */
+
+/**
+ * Mapping modes deciding how JSON values become files and folders
+ */
+export const MAPPING_MODES = {
+  // Objects are folders, every other value is a file whose content is the
+  // value itself; { content } and { type: "file", data } objects are files
+  STRUCTURE: 'structure',
+  // Every value is exploded into files: arrays become item_N folders and
+  // primitives become <key>.txt files
+  DATA: 'data'
+};
+
+export const MAPPING_MODE_OPTIONS = [
+  { value: MAPPING_MODES.STRUCTURE, label: 'Structure', description: 'Objects are folders, values are file contents' },
+  { value: MAPPING_MODES.DATA, label: 'Data explode', description: 'Arrays become item_N folders, values become .txt files' }
+];
+
+/**
+ * Timestamp of every entry without an explicit mtime in reproducible
+ * archives; the earliest date a ZIP entry can hold
+ */
+export const REPRODUCIBLE_DATE = new Date(Date.UTC(1980, 0, 1));
+
+const joinPath = (basePath, name) => (basePath ? `${basePath}/${name}` : name);
+
+/**
+ * Creates a folder node
+ * @param {string} name - Folder name
+ * @param {string} path - Folder path relative to the root
+ * @returns {Object} - Folder node
+ */
+export const createFolderNode = (name, path) => ({
+  type: 'folder',
+  name,
+  path,
+  children: []
+});
+
+/**
+ * Creates a file node from a structure value
+ * @param {string} name - File name
+ * @param {string} path - File path relative to the root
+ * @param {*} value - Plain value or file object
+ * @returns {Object} - File node
+ */
+export const createFileNode = (name, path, value) => {
+  const resolved = resolveFileContent(value);
+  const metadata = isFileObject(value) ? value : {};
+  const mode = metadata.mode !== undefined ? parseFileMode(metadata.mode) : null;
+  const mtime = metadata.mtime !== undefined ? parseModificationTime(metadata.mtime) : null;
+
+  let error = resolved.error;
+  if (!error && metadata.mode !== undefined && mode === null) {
+    error = `Invalid mode "${metadata.mode}"`;
+  } else if (!error && metadata.mtime !== undefined && mtime === null) {
+    error = `Invalid mtime "${metadata.mtime}"`;
+  }
+
+  return {
+    type: 'file',
+    name,
+    path,
+    content: resolved.content,
+    encoding: resolved.encoding,
+    mimeType: resolved.mimeType,
+    size: resolved.size,
+    binary: resolved.binary,
+    mode,
+    mtime,
+    error
+  };
+};
+
+/**
+ * Checks whether a value is a { type: "symlink", target } object
+ * @param {*} value - Structure value
+ * @returns {boolean} - True if the value describes a symlink
+ */
+export const isSymlinkObject = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value) && value.type === 'symlink'
+);
+
+/**
+ * Creates a symlink node from a { type: "symlink", target } value
+ * @param {string} name - Link name
+ * @param {string} path - Link path relative to the root
+ * @param {Object} value - Symlink object
+ * @returns {Object} - Symlink node
+ */
+export const createSymlinkNode = (name, path, value) => {
+  const target = typeof value.target === 'string' ? value.target : '';
+  const problems = typeof value.target === 'string'
+    ? findSymlinkProblems(path, target)
+    : ['Symlink needs a string "target"'];
+
+  return {
+    type: 'symlink',
+    name,
+    path,
+    target,
+    error: problems.length > 0 ? problems.join('; ') : null
+  };
+};
+
+const createEntryNode = (name, path, value) => (
+  isSymlinkObject(value) ? createSymlinkNode(name, path, value) : createFileNode(name, path, value)
+);
+
+/**
+ * Checks whether a structure value describes a folder: a plain object that
+ * is not a file or symlink object
+ * @param {*} value - Structure value
+ * @returns {boolean} - True if the value maps to a folder
+ */
+export const isFolderValue = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !isFileObject(value) && !isSymlinkObject(value)
+);
+
+/**
+ * Splits a structure key into path segments, ignoring empty and "." parts
+ * @param {string} key - Object key, possibly a slash separated path
+ * @returns {string[]} - Path segments
+ */
+export const splitKeyPath = (key) => key.split('/').filter(segment => segment && segment !== '.');
+
+const createContext = (pathPolicy) => ({ issues: [], unsafePaths: [], indexes: new Map(), pathPolicy });
+
+/**
+ * Applies the path policy to a key, recording unsafe keys
+ * @returns {Object} - Object with the key to use and the unsafe reason, if any
+ */
+const checkKeySafety = (key, basePath, context, findProblems) => {
+  const problems = findProblems(key);
+  if (problems.length === 0) return { key, unsafe: null };
+
+  const reason = problems.join('; ');
+  const path = joinPath(basePath, key);
+
+  if (context.pathPolicy === PATH_POLICIES.FIX) {
+    const fixedKey = findProblems === findNameProblems
+      ? sanitizePath(key).replace(/\//g, '_')
+      : sanitizePath(key);
+    context.unsafePaths.push({ path, reason, fixedPath: joinPath(basePath, fixedKey) });
+    return { key: fixedKey, unsafe: null };
+  }
+
+  context.unsafePaths.push({ path, reason, fixedPath: null });
+  return { key, unsafe: reason };
+};
+
+const childrenOf = (folder, context) => {
+  let index = context.indexes.get(folder);
+  if (!index) {
+    index = new Map(folder.children.map(child => [child.name, child]));
+    context.indexes.set(folder, index);
+  }
+  return index;
+};
+
+const addChild = (folder, node, context) => {
+  folder.children.push(node);
+  childrenOf(folder, context).set(node.name, node);
+  return node;
+};
+
+/**
+ * Inserts a value at a slash separated path below a folder, creating
+ * intermediate folders and recording conflicts as issues
+ */
+const insertEntry = (parent, rawKey, value, context) => {
+  const { key, unsafe } = checkKeySafety(rawKey, parent.path, context, findPathProblems);
+  const segments = splitKeyPath(key);
+  if (segments.length === 0) {
+    context.issues.push({ path: joinPath(parent.path, key), reason: 'Empty file or folder name' });
+    return;
+  }
+
+  const name = segments.pop();
+  let folder = parent;
+
+  for (const segment of segments) {
+    const existing = childrenOf(folder, context).get(segment);
+    if (existing && existing.type !== 'folder') {
+      context.issues.push({ path: existing.path, reason: `Used as a file and as a folder (in "${key}")` });
+      return;
+    }
+    folder = existing || addChild(folder, createFolderNode(segment, joinPath(folder.path, segment)), context);
+  }
+
+  const path = joinPath(folder.path, name);
+  const existing = childrenOf(folder, context).get(name);
+
+  if (isFolderValue(value)) {
+    if (existing && existing.type !== 'folder') {
+      context.issues.push({ path, reason: 'Used as a file and as a folder' });
+      return;
+    }
+    const target = existing || addChild(folder, createFolderNode(name, path), context);
+    if (unsafe) target.unsafe = unsafe;
+    Object.entries(value).forEach(([childKey, child]) => insertEntry(target, childKey, child, context));
+  } else if (existing) {
+    context.issues.push({
+      path,
+      reason: existing.type === 'folder' ? 'Used as a folder and as a file' : 'Defined more than once'
+    });
+  } else {
+    const node = addChild(folder, createEntryNode(name, path, value), context);
+    if (unsafe) node.unsafe = unsafe;
+  }
+};
+
+/**
+ * Checks whether data is a manifest: an array of file records that each
+ * have a string `path`
+ * @param {*} data - Parsed input data
+ * @returns {boolean} - True if the data is a manifest
+ */
+export const isManifest = (data) => (
+  Array.isArray(data) &&
+  data.length > 0 &&
+  data.every(record => record !== null && typeof record === 'object' && !Array.isArray(record) && typeof record.path === 'string')
+);
+
+const mapManifest = (records, root, context) => {
+  records.forEach((record) => {
+    const { path, type, ...file } = record;
+
+    // Folder records describe (possibly empty) directories
+    if (type === 'folder' || type === 'directory' || (path.endsWith('/') && file.content === undefined)) {
+      insertEntry(root, path, {}, context);
+      return;
+    }
+
+    if (type === 'symlink') {
+      insertEntry(root, path, { type, target: file.target }, context);
+      return;
+    }
+
+    if (type !== undefined && type !== 'file') {
+      context.issues.push({ path, reason: `Unsupported record type "${type}"` });
+      return;
+    }
+
+    insertEntry(root, path, { ...file, content: file.content ?? '' }, context);
+  });
+};
+
+const mapDataValue = (rawKey, value, parent, context) => {
+  const { key, unsafe } = checkKeySafety(rawKey, parent.path, context, findNameProblems);
+  let node;
+
+  if (isFileObject(value) || isSymlinkObject(value)) {
+    node = createEntryNode(key, joinPath(parent.path, key), value);
+  } else if (Array.isArray(value)) {
+    node = createFolderNode(key, joinPath(parent.path, key));
+    value.forEach((item, index) => mapDataValue(`item_${index}`, item, node, context));
+  } else if (value !== null && typeof value === 'object') {
+    node = createFolderNode(key, joinPath(parent.path, key));
+    Object.entries(value).forEach(([childKey, child]) => mapDataValue(childKey, child, node, context));
+  } else {
+    const name = `${key}.txt`;
+    node = createFileNode(name, joinPath(parent.path, name), String(value));
+  }
+
+  if (unsafe) node.unsafe = unsafe;
+  parent.children.push(node);
+};
+
+/**
+ * Maps parsed JSON data into a file tree
+ * @param {*} data - Parsed JSON data
+ * @param {Object} options - Mapping options
+ * @param {string} options.mode - One of MAPPING_MODES
+ * @param {string} options.rootName - Name of the root folder node
+ * @param {string} options.pathPolicy - One of PATH_POLICIES, decides what happens to unsafe keys
+ * @param {boolean} options.executableScripts - Give shebang files without a mode mode 755
+ * @returns {Object} - Root folder node
+ */
+export const buildFileTree = (data, {
+  mode = MAPPING_MODES.STRUCTURE,
+  rootName = 'root',
+  pathPolicy = PATH_POLICIES.BLOCK,
+  executableScripts = false
+} = {}) => {
+  const root = createFolderNode(rootName, '');
+  const context = createContext(pathPolicy);
+
+  if (mode !== MAPPING_MODES.STRUCTURE && mode !== MAPPING_MODES.DATA) {
+    throw new Error(`Unknown mapping mode "${mode}"`);
+  }
+
+  if (isManifest(data)) {
+    mapManifest(data, root, context);
+  } else if (mode === MAPPING_MODES.DATA) {
+    if (Array.isArray(data)) {
+      data.forEach((item, index) => mapDataValue(`item_${index}`, item, root, context));
+    } else if (data !== null && typeof data === 'object' && !isFileObject(data)) {
+      Object.entries(data).forEach(([key, value]) => mapDataValue(key, value, root, context));
+    } else {
+      root.children.push(createFileNode('data.txt', 'data.txt', isFileObject(data) ? data : String(data)));
+    }
+  } else if (isFolderValue(data)) {
+    Object.entries(data).forEach(([key, value]) => insertEntry(root, key, value, context));
+  } else {
+    throw new Error('Structure must be an object whose keys are file and folder names, or an array of { path, content } records');
+  }
+
+  if (executableScripts) {
+    walkTree(root, (node) => {
+      if (node.type === 'file' && node.mode === null && node.encoding === 'utf8' && node.content.startsWith('#!')) {
+        node.mode = 0o755;
+      }
+    });
+  }
+
+  root.issues = context.issues;
+  root.unsafePaths = context.unsafePaths;
+  return root;
+};
+
+/**
+ * Returns the data to write for a file node
+ * @param {Object} node - File node
+ * @returns {string|Uint8Array} - Text for utf8 files, bytes for binary files
+ */
+export const getFileData = (node) => {
+  const encoding = node.encoding || 'utf8';
+  const content = node.content ?? '';
+
+  try {
+    if (encoding === 'utf8') return content;
+    if (encoding === 'base64') return base64ToBytes(content);
+    if (encoding === 'hex') return hexToBytes(content);
+    throw new Error(`Unsupported encoding "${encoding}"`);
+  } catch (error) {
+    throw new Error(`${node.path}: ${error.message}`);
+  }
+};
+
+/**
+ * Visits every node below the root in depth-first order
+ * @param {Object} tree - Root folder node
+ * @param {Function} visitor - Called with each node
+ */
+export const walkTree = (tree, visitor) => {
+  const visit = (node) => {
+    visitor(node);
+    if (node.type === 'folder') {
+      node.children.forEach(visit);
+    }
+  };
+
+  tree.children.forEach(visit);
+};
+
+/**
+ * Returns a copy of a file tree whose children are sorted by name at every
+ * level, so archives list their entries by path regardless of key order.
+ * Names are compared by code point to stay independent of the locale.
+ * @param {Object} tree - Root folder node
+ * @returns {Object} - Sorted root folder node
+ */
+export const sortTree = (tree) => {
+  const byName = (a, b) => {
+    if (a.name === b.name) return 0;
+    return a.name < b.name ? -1 : 1;
+  };
+  const sortNode = (node) => (
+    node.type === 'folder' ? { ...node, children: node.children.map(sortNode).sort(byName) } : node
+  );
+
+  return sortNode(tree);
+};
+
+/**
+ * Adds every node of a file tree to a JSZip instance. Paths are rebuilt from
+ * node names so trees created without `path` are written correctly too.
+ * Trees with unsafe names are rejected with an UnsafePathError.
+ * @param {JSZip} zip - The archive to add to
+ * @param {Object} tree - Root folder node
+ * @param {Object} options - Write options
+ * @param {string} options.rootFolder - Folder to wrap every entry in, '' for none
+ * @param {Date} options.date - Timestamp for entries without an mtime, the
+ * current time when omitted
+ */
+export const addTreeToZip = (zip, tree, { rootFolder = '', date = null } = {}) => {
+  assertSafeTree(tree, { rootFolder });
+
+  // Without explicit permissions JSZip would write 664 and 775
+  const addFolder = (path, mode = DEFAULT_FOLDER_MODE) => zip.file(path, null, {
+    dir: true,
+    unixPermissions: 0o40000 | mode,
+    ...(date && { date })
+  });
+
+  const addNode = (node, basePath) => {
+    const path = joinPath(basePath, node.name);
+
+    if (node.type === 'folder') {
+      addFolder(path, typeof node.mode === 'number' ? node.mode : DEFAULT_FOLDER_MODE);
+      (node.children || []).forEach(child => addNode(child, path));
+      return;
+    }
+
+    if (node.error) {
+      throw new Error(`${path}: ${node.error}`);
+    }
+
+    if (node.type === 'symlink') {
+      // Symlinks are stored as their target text with the link type bits
+      zip.file(path, node.target, { unixPermissions: 0o120777, ...(date && { date }) });
+      return;
+    }
+
+    const data = getFileData({ ...node, path });
+    zip.file(path, data, {
+      binary: typeof data !== 'string',
+      ...((node.mtime || date) && { date: node.mtime || date }),
+      // Regular file type bits plus the permissions
+      unixPermissions: 0o100000 | (typeof node.mode === 'number' ? node.mode : DEFAULT_FILE_MODE)
+    });
+  };
+
+  if (rootFolder) {
+    addFolder(rootFolder);
+  }
+  (tree.children || []).forEach(child => addNode(child, rootFolder));
+};
+
+/**
+ * Writes a file tree into a ZIP archive
+ * @param {Object} tree - Root folder node
+ * @param {Object} options - Archive options
+ * @param {string} options.compression - 'STORE' or 'DEFLATE'
+ * @param {number} options.compressionLevel - Deflate level from 1 (fastest) to 9 (smallest)
+ * @param {string} options.rootFolder - Folder to wrap every entry in, '' for none
+ * @param {boolean} options.reproducible - Sort entries and use REPRODUCIBLE_DATE
+ * so the same tree and options always give the same bytes
+ * @param {Function} options.onProgress - Called with { percent, currentFile }
+ * as each entry is written
+ * @returns {Promise<Blob>} - ZIP file as blob
+ */
+export const generateZipFromTree = async (tree, {
+  compression = 'STORE',
+  compressionLevel = 6,
+  rootFolder = '',
+  reproducible = false,
+  onProgress = null
+} = {}) => {
+  const zip = new JSZip();
+  if (reproducible) {
+    addTreeToZip(zip, sortTree(tree), { rootFolder, date: REPRODUCIBLE_DATE });
+  } else {
+    addTreeToZip(zip, tree, { rootFolder });
+  }
+  // UNIX platform makes JSZip store the permission bits of each entry
+  return zip.generateAsync({
+    type: 'blob',
+    platform: 'UNIX',
+    compression,
+    compressionOptions: { level: compressionLevel }
+  }, onProgress && (({ percent, currentFile }) => onProgress({ percent, currentFile })));
+};
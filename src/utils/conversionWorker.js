@@ -0,0 +1,214 @@
+/**
+ * Main thread side of conversion.worker.js. Parsing and tree building run
+ * on one long-lived worker; every archive is written or streamed by a
+ * worker of its own, so cancelling simply terminates it.
+ */
+
+/**
+ * An error thrown inside the worker. parseError holds the position details
+ * of a StructureParseError, or null for other errors; details holds what a
+ * failed parse still found out about the text, e.g. its detected format.
+ */
+export class WorkerTaskError extends Error {
+  constructor({ name, message, details = null, parseError = null }) {
+    super(message);
+    this.name = 'WorkerTaskError';
+    this.originalName = name;
+    this.details = details;
+    this.parseError = parseError;
+  }
+}
+
+export class GenerationCancelledError extends Error {
+  constructor() {
+    super('Archive generation was cancelled');
+    this.name = 'GenerationCancelledError';
+  }
+}
+
+const createWorker = () => new Worker(new URL('./conversion.worker.js', import.meta.url), { type: 'module' });
+
+/**
+ * Starts a worker for parsing structure text and building file trees.
+ * Requests of one type run one at a time; a request made while another of
+ * its type is running waits, and is replaced by any newer request, which
+ * then resolves it with null. Typing fast therefore never queues up stale
+ * parses. Parsing resolves with the structure, the detected format and
+ * unmapped Markdown fences; tree building with the tree and its portability
+ * problems, so none of these checks run on the main thread. If the worker
+ * crashes, every pending request is rejected and a new worker takes over.
+ * @returns {Object} - Object with parse(text, format), buildTree(structure,
+ * options) and terminate()
+ */
+export const createConversionWorker = () => {
+  let worker = null;
+  const channels = new Map();
+  const inFlight = new Map();
+  let nextId = 0;
+
+  // Fails every pending request and starts over on a fresh worker, so a
+  // crash never leaves a channel waiting for a reply that cannot come
+  const restart = (error) => {
+    for (const request of inFlight.values()) {
+      request.reject(error);
+    }
+    inFlight.clear();
+    for (const channel of channels.values()) {
+      if (channel.next) {
+        channel.next.reject(error);
+      }
+      channel.running = false;
+      channel.next = null;
+    }
+    worker.terminate();
+    start();
+  };
+
+  const send = (type, request) => {
+    const id = ++nextId;
+    const channel = channels.get(type);
+    inFlight.set(id, { type, ...request });
+    channel.running = true;
+    try {
+      worker.postMessage({ id, type, payload: request.payload });
+    } catch (error) {
+      inFlight.delete(id);
+      channel.running = false;
+      request.reject(error);
+    }
+  };
+
+  const handleMessage = ({ data: { id, type, result, error } }) => {
+    const request = inFlight.get(id);
+    if (!request) return;
+
+    inFlight.delete(id);
+    if (type === 'error') {
+      request.reject(new WorkerTaskError(error));
+    } else {
+      request.resolve(result);
+    }
+
+    const channel = channels.get(request.type);
+    channel.running = false;
+    if (channel.next) {
+      const next = channel.next;
+      channel.next = null;
+      send(request.type, next);
+    }
+  };
+
+  const start = () => {
+    worker = createWorker();
+    worker.onmessage = handleMessage;
+    worker.onerror = (event) => {
+      restart(new Error(event.message || 'The conversion worker stopped unexpectedly'));
+    };
+    worker.onmessageerror = () => {
+      restart(new Error('A reply from the conversion worker could not be read'));
+    };
+  };
+
+  start();
+
+  const request = (type, payload) => new Promise((resolve, reject) => {
+    if (!channels.has(type)) {
+      channels.set(type, { running: false, next: null });
+    }
+
+    const channel = channels.get(type);
+    if (!channel.running) {
+      send(type, { payload, resolve, reject });
+      return;
+    }
+    if (channel.next) {
+      channel.next.resolve(null);
+    }
+    channel.next = { payload, resolve, reject };
+  });
+
+  return {
+    parse: (text, format) => request('parse', { text, format }),
+    buildTree: (structure, options) => request('buildTree', { structure, options }),
+    terminate: () => worker.terminate()
+  };
+};
+
+// Runs one archive task on a worker of its own, terminated when done
+const runArchiveWorker = (type, payload, transfer, { onProgress = null, signal = null, onCancel = null } = {}) => (
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      if (onCancel) onCancel();
+      reject(new GenerationCancelledError());
+      return;
+    }
+
+    const worker = createWorker();
+    const cancel = () => {
+      worker.terminate();
+      if (onCancel) onCancel();
+      reject(new GenerationCancelledError());
+    };
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', cancel);
+    };
+
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    worker.onmessage = ({ data: { type: replyType, result, error, progress } }) => {
+      if (replyType === 'progress') {
+        if (onProgress) onProgress(progress);
+        return;
+      }
+
+      finish();
+      if (replyType === 'error') {
+        reject(new WorkerTaskError(error));
+      } else {
+        resolve(result);
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'The archive worker stopped unexpectedly'));
+    };
+
+    worker.postMessage({ id: 1, type, payload }, transfer);
+  })
+);
+
+/**
+ * Writes an archive on a dedicated worker
+ * @param {Object} tree - Root folder node
+ * @param {Object} exportOptions - Options from the export dialog
+ * @param {Object} options - Progress and cancellation
+ * @param {Function} options.onProgress - Called with { percent, currentFile }
+ * as each entry is written
+ * @param {AbortSignal} options.signal - Aborting terminates the worker and
+ * rejects with a GenerationCancelledError
+ * @returns {Promise<Object>} - Object with the archive blob and its download filename
+ */
+export const generateArchiveInWorker = (tree, exportOptions, options = {}) => (
+  runArchiveWorker('generate', { tree, exportOptions }, [], options)
+);
+
+/**
+ * Streams a ZIP archive into a download target on a dedicated worker, so
+ * the archive never has to fit in memory
+ * @param {Object} tree - Root folder node
+ * @param {Object} exportOptions - Options from the export dialog
+ * @param {Object} download - Result of openDownloadTarget
+ * @param {Object} options - Progress and cancellation
+ * @param {Function} options.onProgress - Called with { percent, currentFile }
+ * as each entry is written
+ * @param {AbortSignal} options.signal - Aborting terminates the worker,
+ * cancels the download and rejects with a GenerationCancelledError
+ * @returns {Promise<Object>} - Object with the download filename and the archive size
+ */
+export const streamArchiveInWorker = (tree, exportOptions, download, options = {}) => (
+  runArchiveWorker('stream', { tree, exportOptions, target: download.target }, download.transfer, {
+    ...options,
+    onCancel: download.abort
+  })
+);
@@ -0,0 +1,22 @@
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+/**
+ * Computes the CRC-32 checksum used by ZIP and gzip
+ * @param {Uint8Array} data - Data to checksum
+ * @param {number} previous - CRC of the data before this chunk, to checksum
+ * a stream chunk by chunk
+ * @returns {number} - Unsigned 32 bit checksum
+ */
+export const crc32 = (data, previous = 0) => {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let index = 0; index < data.length; index++) {
+    crc = CRC_TABLE[(crc ^ data[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
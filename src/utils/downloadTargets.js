@@ -0,0 +1,129 @@
+/**
+ * Destinations an archive can be streamed to instead of being built as a
+ * blob. The target is chosen on the main thread, where the file picker needs
+ * the user's click, and then posted to the worker that writes the archive.
+ *
+ * - 'file': a FileSystemFileHandle from the File System Access API; the
+ *   archive is written straight into the chosen file
+ * - 'port': a MessagePort feeding public/stream-download-sw.js, which serves
+ *   the chunks as a regular browser download
+ */
+
+const SERVICE_WORKER_URL = `${import.meta.env.BASE_URL}stream-download-sw.js`;
+
+/**
+ * Checks whether archives can be streamed in this browser
+ * @returns {boolean} - True if a file picker or service worker is available
+ */
+export const canStreamDownloads = () => (
+  typeof window !== 'undefined' &&
+  ('showSaveFilePicker' in window || (window.isSecureContext && 'serviceWorker' in navigator))
+);
+
+const openServiceWorkerTarget = async (filename) => {
+  await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  const { active } = await navigator.serviceWorker.ready;
+
+  const url = new URL(`stream-download/${crypto.randomUUID()}/${encodeURIComponent(filename)}`, new URL(SERVICE_WORKER_URL, location.href)).href;
+  const channel = new MessageChannel();
+  const readyChannel = new MessageChannel();
+
+  await new Promise((resolve) => {
+    readyChannel.port1.onmessage = resolve;
+    active.postMessage({ type: 'register', url, filename }, [channel.port2, readyChannel.port2]);
+  });
+  readyChannel.port1.close();
+
+  // Navigating a hidden frame starts the download without leaving the page
+  const frame = document.createElement('iframe');
+  frame.hidden = true;
+  frame.src = url;
+  document.body.appendChild(frame);
+
+  return {
+    target: { type: 'port', port: channel.port1 },
+    transfer: [channel.port1],
+    abort: () => active.postMessage({ type: 'abort', url }),
+    release: () => frame.remove()
+  };
+};
+
+/**
+ * Asks where a streamed archive should go: a file picked with the File
+ * System Access API where available, otherwise a service worker download.
+ * Must be called from a user gesture. Rejects with an AbortError when the
+ * user dismisses the file picker.
+ * @param {string} filename - Suggested download filename
+ * @returns {Promise<Object|null>} - Object with the target to post to the
+ * worker, the objects to transfer with it, abort() to cancel the download
+ * and release() to clean up afterwards; null if streaming is unsupported
+ */
+export const openDownloadTarget = async (filename) => {
+  if ('showSaveFilePicker' in window) {
+    const handle = await window.showSaveFilePicker({ suggestedName: filename });
+    return { target: { type: 'file', handle }, transfer: [], abort: () => {}, release: () => {} };
+  }
+  if (canStreamDownloads()) {
+    return openServiceWorkerTarget(filename);
+  }
+  return null;
+};
+
+// Sends one chunk per 'pull' from the service worker, so only a single
+// chunk is ever in flight
+const createPortStream = (port) => {
+  let credits = 0;
+  let waiting = null;
+  let cancelled = false;
+
+  port.onmessage = ({ data }) => {
+    if (data.type === 'pull') credits++;
+    if (data.type === 'cancel') cancelled = true;
+    if (waiting) {
+      waiting();
+      waiting = null;
+    }
+  };
+
+  const waitForPull = async () => {
+    while (credits === 0 && !cancelled) {
+      await new Promise((resolve) => {
+        waiting = resolve;
+      });
+    }
+    if (cancelled) {
+      throw new Error('The download was cancelled in the browser');
+    }
+    credits--;
+  };
+
+  return new WritableStream({
+    async write(chunk) {
+      await waitForPull();
+      // Posting a view would clone its whole buffer, so send a copy
+      const copy = chunk.slice();
+      port.postMessage({ type: 'chunk', chunk: copy }, [copy.buffer]);
+    },
+    close() {
+      port.postMessage({ type: 'end' });
+    },
+    abort() {
+      port.postMessage({ type: 'abort' });
+    }
+  });
+};
+
+/**
+ * Opens the WritableStream of a download target inside the worker
+ * @param {Object} target - Target from openDownloadTarget
+ * @returns {Promise<WritableStream>} - Stream receiving the archive bytes
+ */
+export const openTargetStream = async (target) => {
+  if (target.type === 'file') {
+    return target.handle.createWritable();
+  }
+  if (target.type === 'port') {
+    return createPortStream(target.port);
+  }
+  throw new Error(`Unknown download target "${target.type}"`);
+};
@@ -0,0 +1,95 @@
+/**
+ * Undo history of the structure input. Every step is a snapshot of the input
+ * text and format, so undoing restores the text and re-parses it the same
+ * way any other edit does. Histories are plain objects updated immutably:
+ * { steps: Array<{ id, label, text, format, group, time }>, index }.
+ */
+
+export const MAX_HISTORY_STEPS = 100;
+
+// Snapshots of imported archives can be large; older steps are dropped once
+// the texts together exceed this many characters
+export const MAX_HISTORY_CHARACTERS = 50_000_000;
+
+// Consecutive steps of the same group, e.g. typing, merge within this window
+export const MERGE_WINDOW_MS = 1000;
+
+let nextStepId = 1;
+
+/**
+ * Creates a history holding a single step
+ * @param {Object} step
+ * @param {string} step.label - Description shown in the history panel
+ * @param {string} step.text - Input text
+ * @param {string} step.format - Input format
+ * @returns {Object} - The history
+ */
+export const createHistory = ({ label, text, format }) => ({
+  steps: [{ id: nextStepId++, label, text, format, group: null, time: Date.now() }],
+  index: 0
+});
+
+/**
+ * Records a step after the current one, discarding any steps that were
+ * undone. A step whose group matches the current step's and follows it
+ * within MERGE_WINDOW_MS replaces it instead, so a burst of typing undoes
+ * at once. Steps that leave the text and format unchanged are not recorded.
+ * @param {Object} history - The history
+ * @param {Object} step
+ * @param {string} step.label - Description shown in the history panel
+ * @param {string} step.text - Input text after the edit
+ * @param {string} step.format - Input format after the edit
+ * @param {string|null} [step.group] - Merge group
+ * @param {number} [now] - Time of the edit
+ * @returns {Object} - The updated history
+ */
+export const recordStep = (history, { label, text, format, group = null }, now = Date.now()) => {
+  const current = history.steps[history.index];
+  if (current.text === text && current.format === format) return history;
+
+  const steps = history.steps.slice(0, history.index + 1);
+  // The first step is where the session began and is never merged into
+  const merges = history.index > 0 && group !== null && group === current.group &&
+    now - current.time < MERGE_WINDOW_MS;
+  if (merges) {
+    steps[steps.length - 1] = { ...current, text, format, time: now };
+  } else {
+    steps.push({ id: nextStepId++, label, text, format, group, time: now });
+  }
+
+  let size = steps.reduce((total, step) => total + step.text.length, 0);
+  let start = Math.max(0, steps.length - MAX_HISTORY_STEPS);
+  for (let i = 0; i < start; i++) size -= steps[i].text.length;
+  while (size > MAX_HISTORY_CHARACTERS && start < steps.length - 1) {
+    size -= steps[start++].text.length;
+  }
+
+  return { steps: steps.slice(start), index: steps.length - 1 - start };
+};
+
+/**
+ * Moves to another step without changing the steps. Out of range indexes
+ * are clamped.
+ * @param {Object} history - The history
+ * @param {number} index - Index of the step to move to
+ * @returns {Object} - The updated history
+ */
+export const jumpToStep = (history, index) => {
+  const target = Math.min(Math.max(index, 0), history.steps.length - 1);
+  if (target === history.index) return history;
+  // A jump ends any merge, so typing after undoing starts a new step
+  const steps = history.steps.map((step, i) => (i === target ? { ...step, group: null } : step));
+  return { steps, index: target };
+};
+
+/**
+ * @param {Object} history - The history
+ * @returns {boolean} - Whether there is a step to undo
+ */
+export const canUndo = (history) => history.index > 0;
+
+/**
+ * @param {Object} history - The history
+ * @returns {boolean} - Whether there is an undone step to redo
+ */
+export const canRedo = (history) => history.index < history.steps.length - 1;
@@ -0,0 +1,169 @@
+/**
+ * Encodings accepted in the "encoding" field of a file object
+ */
+export const SUPPORTED_ENCODINGS = ['utf8', 'base64', 'hex'];
+
+const DATA_URL_PATTERN = /^data:([^;,]*)((?:;[^;,]*)*?)(;base64)?,(.*)$/s;
+
+/**
+ * Checks whether a value uses the { content } / { type: "file", data }
+ * file-object convention
+ * @param {*} value - The value to check
+ * @returns {boolean} - True if the value describes a single file
+ */
+export const isFileObject = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+
+  return Object.prototype.hasOwnProperty.call(value, 'content') ||
+    (value.type === 'file' && Object.prototype.hasOwnProperty.call(value, 'data'));
+};
+
+/**
+ * Parses a data: URL
+ * @param {string} value - The string to parse
+ * @returns {Object|null} - Object with mimeType, encoding and data, or null
+ */
+export const parseDataUrl = (value) => {
+  if (typeof value !== 'string' || !value.startsWith('data:')) {
+    return null;
+  }
+
+  const match = value.match(DATA_URL_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, mimeType, , base64Flag, data] = match;
+  if (base64Flag) {
+    return { mimeType: mimeType || 'application/octet-stream', encoding: 'base64', data };
+  }
+
+  try {
+    return { mimeType: mimeType || 'text/plain', encoding: 'utf8', data: decodeURIComponent(data) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Decodes a base64 string into bytes
+ * @param {string} base64 - Base64 (or base64url) encoded data
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export const base64ToBytes = (base64) => {
+  const normalized = base64.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(normalized) || normalized.length % 4 === 1) {
+    throw new Error('Invalid base64 data');
+  }
+
+  const binary = atob(normalized.padEnd(Math.ceil(normalized.length / 4) * 4, '='));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Encodes bytes as a base64 string
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} - Base64 encoded data
+ */
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Decodes a hex string into bytes
+ * @param {string} hex - Hex encoded data, whitespace allowed
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export const hexToBytes = (hex) => {
+  const normalized = hex.replace(/\s+/g, '');
+  if (!/^[0-9a-fA-F]*$/.test(normalized) || normalized.length % 2 !== 0) {
+    throw new Error('Invalid hex data');
+  }
+
+  const bytes = new Uint8Array(normalized.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(normalized.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+/**
+ * Encodes edited text in a file's encoding
+ * @param {string} text - The text to store
+ * @param {string} encoding - One of SUPPORTED_ENCODINGS
+ * @returns {string} - The text itself for utf8, otherwise its UTF-8 bytes
+ * in base64 or hex
+ */
+export const encodeTextContent = (text, encoding) => {
+  if (encoding === 'utf8') return text;
+
+  const bytes = new TextEncoder().encode(text);
+  if (encoding === 'base64') return bytesToBase64(bytes);
+  if (encoding === 'hex') return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  throw new Error(`Unsupported encoding "${encoding}"`);
+};
+
+/**
+ * Resolves a file value into the data to write and its metadata.
+ * Plain strings, data: URLs and { content, encoding } objects are accepted;
+ * other values are serialized as JSON text.
+ * @param {*} value - File value or file object from the structure
+ * @returns {Object} - Object with data (string or Uint8Array), content (data in its textual
+ * encoding), binary, encoding, mimeType, size and error
+ */
+export const resolveFileContent = (value) => {
+  let content = value;
+  let encoding = 'utf8';
+  let mimeType = null;
+
+  if (isFileObject(value)) {
+    content = Object.prototype.hasOwnProperty.call(value, 'content') ? value.content : value.data;
+    encoding = value.encoding ? String(value.encoding).toLowerCase().replace('-', '') : 'utf8';
+  }
+
+  if (typeof content !== 'string') {
+    content = content !== null && typeof content === 'object'
+      ? JSON.stringify(content, null, 2)
+      : String(content);
+  } else if (encoding === 'utf8') {
+    const dataUrl = parseDataUrl(content);
+    if (dataUrl) {
+      ({ encoding, mimeType, data: content } = dataUrl);
+    }
+  }
+
+  const result = { data: content, content, binary: false, encoding, mimeType, size: 0, error: null };
+
+  try {
+    if (encoding === 'utf8') {
+      result.size = new TextEncoder().encode(content).length;
+    } else if (encoding === 'base64') {
+      result.data = base64ToBytes(content);
+      result.binary = true;
+    } else if (encoding === 'hex') {
+      result.data = hexToBytes(content);
+      result.binary = true;
+    } else {
+      throw new Error(`Unsupported encoding "${encoding}"`);
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  if (result.binary) {
+    result.size = result.data.length;
+  }
+
+  return result;
+};
@@ -0,0 +1,275 @@
+import pako from 'pako';
+import { aesCtrLittleEndian } from './aes';
+import { getFileData, REPRODUCIBLE_DATE, sortTree } from './conversionEngine';
+import { crc32 } from './crc32';
+import { DEFAULT_FILE_MODE, DEFAULT_FOLDER_MODE } from './fileMetadata';
+import { assertSafeTree } from './pathSafety';
+
+/**
+ * Writer for password protected ZIP archives using WinZip AES encryption
+ * (AE-2, AES-256), which 7-Zip, WinZip, bsdtar and most other archivers can
+ * open. JSZip cannot encrypt, so the archive is assembled here.
+ *
+ * Every file gets its own random salt. Folder and symlink entries are
+ * stored unencrypted, as other writers do, since extractors such as bsdtar
+ * cannot create links from encrypted entries.
+ */
+
+const SIGNATURE_LOCAL_FILE = 0x04034b50;
+const SIGNATURE_CENTRAL_DIRECTORY = 0x02014b50;
+const SIGNATURE_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const METHOD_AES = 99;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+// 5.1 is the first version that knows AES encryption; 2.0 covers the rest
+const VERSION_AES = 51;
+const VERSION_DEFAULT = 20;
+// Upper byte 3 marks UNIX external attributes
+const VERSION_MADE_BY = (3 << 8) | 63;
+
+// AES-256: 16 byte salt, 32 byte encryption and HMAC keys
+const AES_STRENGTH = 3;
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 32;
+const VERIFIER_LENGTH = 2;
+const AUTHENTICATION_CODE_LENGTH = 10;
+const PBKDF2_ITERATIONS = 1000;
+
+const MAX_ZIP_SIZE = 0xffffffff;
+
+const encoder = new TextEncoder();
+
+const joinPath = (basePath, name) => (basePath ? `${basePath}/${name}` : name);
+
+/**
+ * Derives the encryption key, HMAC key and password verifier of one entry
+ */
+const deriveKeys = async (password, salt) => {
+  const baseKey = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-1', salt, iterations: PBKDF2_ITERATIONS },
+    baseKey,
+    (2 * KEY_LENGTH + VERIFIER_LENGTH) * 8
+  ));
+
+  return {
+    encryptionKey: bits.subarray(0, KEY_LENGTH),
+    hmacKey: bits.subarray(KEY_LENGTH, 2 * KEY_LENGTH),
+    verifier: bits.subarray(2 * KEY_LENGTH)
+  };
+};
+
+/**
+ * Encrypts entry data into salt, password verifier, ciphertext and the
+ * truncated HMAC-SHA1 of the ciphertext
+ */
+const encryptEntryData = async (password, data) => {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const { encryptionKey, hmacKey, verifier } = await deriveKeys(password, salt);
+
+  const ciphertext = aesCtrLittleEndian(encryptionKey, data);
+  const signingKey = await crypto.subtle.importKey('raw', hmacKey, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', signingKey, ciphertext));
+
+  const result = new Uint8Array(SALT_LENGTH + VERIFIER_LENGTH + ciphertext.length + AUTHENTICATION_CODE_LENGTH);
+  result.set(salt, 0);
+  result.set(verifier, SALT_LENGTH);
+  result.set(ciphertext, SALT_LENGTH + VERIFIER_LENGTH);
+  result.set(signature.subarray(0, AUTHENTICATION_CODE_LENGTH), SALT_LENGTH + VERIFIER_LENGTH + ciphertext.length);
+  return result;
+};
+
+// MS-DOS date and time fields, written in UTC like JSZip does
+const toDosDateTime = (date) => ({
+  time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+  date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+});
+
+// The AES extra field records the real compression method of the entry
+const createAesExtraField = (method) => {
+  const field = new Uint8Array(11);
+  const view = new DataView(field.buffer);
+  view.setUint16(0, 0x9901, true);
+  view.setUint16(2, 7, true);
+  // Vendor version AE-2: no CRC, integrity comes from the HMAC
+  view.setUint16(4, 2, true);
+  field.set(encoder.encode('AE'), 6);
+  view.setUint8(8, AES_STRENGTH);
+  view.setUint16(9, method, true);
+  return field;
+};
+
+const createLocalHeader = (entry) => {
+  const header = new Uint8Array(30 + entry.name.length + entry.extra.length);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, SIGNATURE_LOCAL_FILE, true);
+  view.setUint16(4, entry.version, true);
+  view.setUint16(6, entry.flags, true);
+  view.setUint16(8, entry.method, true);
+  view.setUint16(10, entry.dosDateTime.time, true);
+  view.setUint16(12, entry.dosDateTime.date, true);
+  view.setUint32(14, entry.crc, true);
+  view.setUint32(18, entry.data.length, true);
+  view.setUint32(22, entry.size, true);
+  view.setUint16(26, entry.name.length, true);
+  view.setUint16(28, entry.extra.length, true);
+  header.set(entry.name, 30);
+  header.set(entry.extra, 30 + entry.name.length);
+  return header;
+};
+
+const createCentralDirectoryHeader = (entry) => {
+  const header = new Uint8Array(46 + entry.name.length + entry.extra.length);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, SIGNATURE_CENTRAL_DIRECTORY, true);
+  view.setUint16(4, VERSION_MADE_BY, true);
+  view.setUint16(6, entry.version, true);
+  view.setUint16(8, entry.flags, true);
+  view.setUint16(10, entry.method, true);
+  view.setUint16(12, entry.dosDateTime.time, true);
+  view.setUint16(14, entry.dosDateTime.date, true);
+  view.setUint32(16, entry.crc, true);
+  view.setUint32(20, entry.data.length, true);
+  view.setUint32(24, entry.size, true);
+  view.setUint16(28, entry.name.length, true);
+  view.setUint16(30, entry.extra.length, true);
+  // Comment length, disk number and internal attributes stay zero
+  view.setUint32(38, entry.externalAttributes, true);
+  view.setUint32(42, entry.offset, true);
+  header.set(entry.name, 46);
+  header.set(entry.extra, 46 + entry.name.length);
+  return header;
+};
+
+const createEndOfCentralDirectory = (entryCount, directorySize, directoryOffset) => {
+  const record = new Uint8Array(22);
+  const view = new DataView(record.buffer);
+  view.setUint32(0, SIGNATURE_END_OF_CENTRAL_DIRECTORY, true);
+  view.setUint16(8, entryCount, true);
+  view.setUint16(10, entryCount, true);
+  view.setUint32(12, directorySize, true);
+  view.setUint32(16, directoryOffset, true);
+  return record;
+};
+
+/**
+ * Writes a file tree into a ZIP archive whose files are encrypted with
+ * AES-256. Modes and mtimes of file nodes are kept like in the other
+ * writers. Trees with unsafe names are rejected with an UnsafePathError.
+ * @param {Object} tree - Root folder node
+ * @param {Object} options - Archive options
+ * @param {string} options.password - Password needed to extract the files
+ * @param {string} options.compression - 'STORE' or 'DEFLATE'
+ * @param {number} options.compressionLevel - Deflate level from 1 (fastest) to 9 (smallest)
+ * @param {string} options.rootFolder - Folder to wrap every entry in, '' for none
+ * @param {boolean} options.reproducible - Sort entries and use REPRODUCIBLE_DATE.
+ * The random salts still make every encrypted archive unique.
+ * @param {Function} options.onProgress - Called with { percent, currentFile }
+ * as each entry is written
+ * @returns {Promise<Blob>} - ZIP file as blob
+ */
+export const generateEncryptedZipFromTree = async (tree, {
+  password,
+  compression = 'STORE',
+  compressionLevel = 6,
+  rootFolder = '',
+  reproducible = false,
+  onProgress = null
+} = {}) => {
+  if (!password) {
+    throw new Error('A password is required for an encrypted ZIP');
+  }
+  assertSafeTree(tree, { rootFolder });
+
+  const date = reproducible ? REPRODUCIBLE_DATE : new Date();
+  const entries = [];
+
+  const addFolder = (path, mode) => {
+    entries.push({ path: `${path}/`, mode: 0o40000 | mode, date, data: new Uint8Array(0), encrypt: false });
+  };
+
+  const addNode = (node, basePath) => {
+    const path = joinPath(basePath, node.name);
+
+    if (node.type === 'folder') {
+      addFolder(path, typeof node.mode === 'number' ? node.mode : DEFAULT_FOLDER_MODE);
+      (node.children || []).forEach(child => addNode(child, path));
+      return;
+    }
+
+    if (node.error) {
+      throw new Error(`${path}: ${node.error}`);
+    }
+
+    if (node.type === 'symlink') {
+      entries.push({ path, mode: 0o120777, date, data: encoder.encode(node.target), encrypt: false });
+      return;
+    }
+
+    const data = getFileData({ ...node, path });
+    entries.push({
+      path,
+      mode: 0o100000 | (typeof node.mode === 'number' ? node.mode : DEFAULT_FILE_MODE),
+      date: node.mtime || date,
+      data: typeof data === 'string' ? encoder.encode(data) : data,
+      encrypt: true
+    });
+  };
+
+  if (rootFolder) {
+    addFolder(rootFolder, DEFAULT_FOLDER_MODE);
+  }
+  (reproducible ? sortTree(tree) : tree).children.forEach(child => addNode(child, rootFolder));
+
+  const chunks = [];
+  const written = [];
+  let offset = 0;
+
+  for (const { path, mode, date: entryDate, data, encrypt } of entries) {
+    const isFolder = path.endsWith('/');
+    const method = compression === 'DEFLATE' && encrypt && data.length > 0 ? METHOD_DEFLATE : METHOD_STORE;
+    const packed = method === METHOD_DEFLATE ? pako.deflateRaw(data, { level: compressionLevel }) : data;
+    const entry = {
+      name: encoder.encode(path),
+      version: encrypt ? VERSION_AES : VERSION_DEFAULT,
+      flags: FLAG_UTF8 | (encrypt ? FLAG_ENCRYPTED : 0),
+      method: encrypt ? METHOD_AES : METHOD_STORE,
+      extra: encrypt ? createAesExtraField(method) : new Uint8Array(0),
+      dosDateTime: toDosDateTime(entryDate),
+      // Unencrypted entries need the CRC that AE-2 leaves out
+      crc: encrypt ? 0 : crc32(data),
+      size: data.length,
+      data: encrypt ? await encryptEntryData(password, packed) : data,
+      // UNIX mode in the upper half, the MS-DOS directory bit in the lower
+      externalAttributes: ((mode << 16) | (isFolder ? 0x10 : 0)) >>> 0,
+      offset
+    };
+
+    const header = createLocalHeader(entry);
+    chunks.push(header, entry.data);
+    written.push(entry);
+    offset += header.length + entry.data.length;
+    if (offset > MAX_ZIP_SIZE) {
+      throw new Error('The archive is larger than 4 GB, which an encrypted ZIP cannot hold');
+    }
+    if (onProgress) {
+      onProgress({ percent: (written.length / entries.length) * 100, currentFile: path });
+    }
+  }
+
+  const directory = written.map(createCentralDirectoryHeader);
+  const directorySize = directory.reduce((sum, header) => sum + header.length, 0);
+  if (written.length > 0xffff) {
+    throw new Error(`An encrypted ZIP holds at most ${0xffff} entries`);
+  }
+
+  return new Blob(
+    [...chunks, ...directory, createEndOfCentralDirectory(written.length, directorySize, offset)],
+    { type: 'application/zip' }
+  );
+};
@@ -0,0 +1,144 @@
+/**
+ * Archive formats a tree can be downloaded as
+ */
+export const ARCHIVE_FORMATS = {
+  ZIP: 'zip',
+  TAR: 'tar',
+  TAR_GZ: 'tar.gz',
+  // A single gzip compressed file, only for trees holding one file
+  GZ: 'gz'
+};
+
+export const ARCHIVE_FORMAT_OPTIONS = [
+  { value: ARCHIVE_FORMATS.ZIP, label: 'ZIP (.zip)' },
+  { value: ARCHIVE_FORMATS.TAR, label: 'Tarball (.tar)' },
+  { value: ARCHIVE_FORMATS.TAR_GZ, label: 'Gzipped tarball (.tar.gz)' },
+  { value: ARCHIVE_FORMATS.GZ, label: 'Single gzipped file (.gz)' }
+];
+
+/**
+ * Compression methods supported by the archive writers
+ */
+export const COMPRESSION_METHODS = {
+  STORE: 'STORE',
+  DEFLATE: 'DEFLATE'
+};
+
+export const COMPRESSION_METHOD_OPTIONS = [
+  { value: COMPRESSION_METHODS.DEFLATE, label: 'Deflate', description: 'Smaller archive, slower to create' },
+  { value: COMPRESSION_METHODS.STORE, label: 'Store', description: 'No compression, fastest' }
+];
+
+export const FILENAME_TOKENS = ['{date}', '{time}', '{timestamp}'];
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  filename: 'generated-files.zip',
+  format: ARCHIVE_FORMATS.ZIP,
+  compression: COMPRESSION_METHODS.DEFLATE,
+  compressionLevel: 6,
+  wrapInRootFolder: false,
+  rootFolderName: '',
+  reproducible: false,
+  // Checksum files embedded at the archive root
+  sha256sums: false,
+  manifest: false,
+  // ZIP password, '' for none. Never saved with the other options
+  password: '',
+  // Stream ZIP archives to disk instead of building them in memory
+  streamToDisk: false
+};
+
+// Reproducible builds ignore the chosen compression so every export of the
+// same input matches, whoever runs it
+export const REPRODUCIBLE_COMPRESSION = {
+  compression: COMPRESSION_METHODS.DEFLATE,
+  compressionLevel: 9
+};
+
+const STORAGE_KEY = 'json-to-files.exportOptions';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Replaces the timestamp tokens of a filename template: {date} becomes
+ * YYYY-MM-DD, {time} HH-MM-SS (both local time) and {timestamp} the full
+ * UTC ISO timestamp with ":" and "." replaced by "-"
+ * @param {string} template - Filename containing tokens
+ * @param {Date} date - Point in time to use
+ * @returns {string} - Filename with the tokens expanded
+ */
+export const formatFilenameTemplate = (template, date = new Date()) => template
+  .replace(/\{date\}/g, `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`)
+  .replace(/\{time\}/g, `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`)
+  .replace(/\{timestamp\}/g, date.toISOString().replace(/[:.]/g, '-'));
+
+// Longest first so ".tar.gz" is not mistaken for ".gz"
+const ARCHIVE_EXTENSION_PATTERN = /\.(tar\.gz|tgz|tar|zip|gz)$/i;
+
+/**
+ * Expands the filename template of the export options and makes sure it
+ * ends with the extension of the chosen format, replacing any other
+ * archive extension
+ * @param {Object} options - Export options
+ * @param {Date} date - Point in time for the timestamp tokens
+ * @returns {string} - Download filename
+ */
+export const resolveArchiveFilename = (options, date = new Date()) => {
+  const extension = options.format || ARCHIVE_FORMATS.ZIP;
+  const filename = formatFilenameTemplate(options.filename.trim(), date) || DEFAULT_EXPORT_OPTIONS.filename;
+  return `${filename.replace(ARCHIVE_EXTENSION_PATTERN, '')}.${extension}`;
+};
+
+/**
+ * Names the root folder after the archive when no explicit name is given
+ * @param {string} filename - Resolved download filename
+ * @returns {string} - The filename without its archive extension
+ */
+export const getDefaultRootFolderName = (filename) => filename.replace(ARCHIVE_EXTENSION_PATTERN, '');
+
+/**
+ * Turns export options into the options the archive writers take
+ * @param {Object} options - Export options
+ * @param {string} filename - Resolved download filename, used to name the
+ * root folder when no explicit name is given
+ * @returns {Object} - Object with compression, compressionLevel, rootFolder and reproducible
+ */
+export const toArchiveOptions = (options, filename) => ({
+  compression: options.compression,
+  compressionLevel: options.compressionLevel,
+  ...(options.reproducible && REPRODUCIBLE_COMPRESSION),
+  rootFolder: options.wrapInRootFolder
+    ? options.rootFolderName.trim() || getDefaultRootFolderName(filename)
+    : '',
+  reproducible: Boolean(options.reproducible)
+});
+
+/**
+ * Reads the export options used last, falling back to the defaults
+ * @param {Object} defaults - Options to use instead of the global defaults
+ * when nothing was remembered yet
+ * @returns {Object} - Export options
+ */
+export const loadExportOptions = (defaults = {}) => {
+  const fallback = { ...DEFAULT_EXPORT_OPTIONS, ...defaults };
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...fallback, ...(stored && typeof stored === 'object' ? stored : {}), password: '' };
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Remembers export options for the next export, except the password
+ * @param {Object} options - Export options
+ */
+export const saveExportOptions = (options) => {
+  try {
+    // JSON.stringify leaves out undefined values
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...options, password: undefined }));
+  } catch {
+    // Storage may be disabled or full; the options just won't be remembered
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * Permissions of files and folders that don't set a mode, the same in every
+ * archive format
+ */
+export const DEFAULT_FILE_MODE = 0o644;
+export const DEFAULT_FOLDER_MODE = 0o755;
+
+const SYMBOLIC_MODE_PATTERN = /^[r-][w-][xsS-][r-][w-][xsS-][r-][w-][xtT-]$/;
+
+// Setuid, setgid and sticky bits by the index of the letter that carries them
+const SPECIAL_MODE_BITS = { 2: 0o4000, 5: 0o2000, 8: 0o1000 };
+
+/**
+ * Parses a Unix permission mode. Accepts octal strings ("755", "0755",
+ * "0o755"), symbolic strings ("rwxr-xr-x", with s/S for setuid and setgid
+ * and t/T for the sticky bit, lowercase when the execute bit is set too)
+ * and numbers, which are taken as the mode value itself (493 or 0o755 in
+ * JavaScript, not 755).
+ * @param {string|number} mode - The mode as written in the structure
+ * @returns {number|null} - Permission bits or null if the mode is invalid
+ */
+export const parseFileMode = (mode) => {
+  if (typeof mode === 'number') {
+    if (!Number.isInteger(mode) || mode < 0) return null;
+    return mode & 0o7777;
+  }
+
+  if (typeof mode !== 'string') return null;
+
+  const value = mode.trim();
+  if (/^(0o)?[0-7]{1,4}$/i.test(value)) {
+    return parseInt(value.replace(/^0o/i, ''), 8);
+  }
+
+  if (SYMBOLIC_MODE_PATTERN.test(value)) {
+    return value.split('').reduce((bits, char, index) => {
+      const permission = char === '-' || char === 'S' || char === 'T' ? 0 : 1 << (8 - index);
+      const special = /[sStT]/.test(char) ? SPECIAL_MODE_BITS[index] : 0;
+      return bits | permission | special;
+    }, 0);
+  }
+
+  return null;
+};
+
+/**
+ * Formats permission bits as an octal string
+ * @param {number} mode - Permission bits
+ * @returns {string} - Octal representation, e.g. "755"
+ */
+export const formatFileMode = (mode) => (mode & 0o7777).toString(8).padStart(3, '0');
+
+/**
+ * Parses a modification time. Numbers below 1e11 are read as Unix seconds,
+ * larger numbers as milliseconds; strings must be parseable dates.
+ * @param {string|number} mtime - The modification time as written in the structure
+ * @returns {Date|null} - The date or null if the value is invalid
+ */
+export const parseModificationTime = (mtime) => {
+  let date = null;
+
+  if (typeof mtime === 'number' && Number.isFinite(mtime)) {
+    date = new Date(mtime < 1e11 ? mtime * 1000 : mtime);
+  } else if (typeof mtime === 'string' && mtime.trim()) {
+    date = new Date(mtime.trim());
+  }
+
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
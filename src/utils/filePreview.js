@@ -0,0 +1,104 @@
+import { getFileData } from './conversionEngine';
+import { bytesToBase64 } from './encodingUtils';
+import { detectLanguage } from './syntaxHighlight';
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  bmp: 'image/bmp',
+  ico: 'image/x-icon',
+  svg: 'image/svg+xml'
+};
+
+const MARKDOWN_EXTENSIONS = new Set(['md', 'markdown', 'mdown', 'mkd', 'mdx']);
+
+const getExtension = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+// Text that decodes as UTF-8 and has no NUL bytes is shown as text even when
+// it was stored as base64 or hex
+const decodeText = (bytes) => {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return text.includes('\0') ? null : text;
+  } catch {
+    return null;
+  }
+};
+
+const getFileDataUrl = (node, mimeType) => {
+  const data = getFileData(node);
+  return typeof data === 'string'
+    ? `data:${mimeType};charset=utf-8,${encodeURIComponent(data)}`
+    : `data:${mimeType};base64,${bytesToBase64(data)}`;
+};
+
+/**
+ * Works out how the file viewer should show a file node
+ * @param {Object} node - File node
+ * @returns {Object} - Object with kind ('image', 'markdown', 'text',
+ * 'binary' or 'error'), text, language, src (data: URL of images), mimeType
+ * and error
+ */
+export const getFilePreview = (node) => {
+  const extension = getExtension(node.name);
+  const mimeType = node.mimeType || IMAGE_TYPES[extension] || null;
+  const preview = { kind: 'text', text: '', language: detectLanguage(node.name), src: null, mimeType, error: null };
+
+  if (node.error) {
+    return { ...preview, kind: 'error', error: node.error };
+  }
+
+  try {
+    if (mimeType && mimeType.startsWith('image/')) {
+      return { ...preview, kind: 'image', src: getFileDataUrl(node, mimeType) };
+    }
+
+    const data = getFileData(node);
+    const text = typeof data === 'string' ? data : decodeText(data);
+    if (text === null) {
+      return { ...preview, kind: 'binary' };
+    }
+
+    return { ...preview, kind: MARKDOWN_EXTENSIONS.has(extension) ? 'markdown' : 'text', text };
+  } catch (error) {
+    return { ...preview, kind: 'error', error: error.message };
+  }
+};
+
+/**
+ * Resolves a relative link in a file, such as an image in a README, to a
+ * path in the tree
+ * @param {string} filePath - Path of the file containing the link
+ * @param {string} href - The link, relative to that file or starting with "/"
+ * for the tree root
+ * @returns {string|null} - Path relative to the root, or null for external
+ * links and links leaving the tree
+ */
+export const resolveLinkedPath = (filePath, href) => {
+  if (!href || /^[a-z][a-z\d+.-]*:/i.test(href) || href.startsWith('#')) return null;
+
+  let target;
+  try {
+    target = decodeURI(href.split(/[?#]/)[0]);
+  } catch {
+    return null;
+  }
+
+  const segments = target.startsWith('/') ? [] : filePath.split('/').slice(0, -1);
+  for (const segment of target.split('/')) {
+    if (segment === '..') {
+      if (segments.length === 0) return null;
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  }
+  return segments.length > 0 ? segments.join('/') : null;
+};
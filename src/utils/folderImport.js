@@ -0,0 +1,200 @@
+import { bytesToBase64, isFileObject } from './encodingUtils';
+import { formatFileSize } from './converterUtils';
+import { decodeTextContent, isReservedSegment } from './zipImport';
+
+// Folders that only hold tooling state or installable dependencies
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git', '.svn', '.hg']);
+const IGNORED_FILES = new Set(['.DS_Store', 'Thumbs.db', 'desktop.ini']);
+
+export const DEFAULT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Own keys only, so names like "constructor" don't hit Object.prototype
+const hasEntry = (folder, name) => Object.prototype.hasOwnProperty.call(folder, name);
+
+const readDirectoryBatch = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const walkEntry = async (entry, basePath, collected) => {
+  const path = basePath ? `${basePath}/${entry.name}` : entry.name;
+
+  if (entry.isFile) {
+    try {
+      collected.files.push({ path, file: await readEntryFile(entry) });
+    } catch (error) {
+      collected.skipped.push({ path, reason: `Could not be read: ${error.message}` });
+    }
+    return;
+  }
+
+  if (!entry.isDirectory) return;
+
+  if (IGNORED_DIRECTORIES.has(entry.name)) {
+    collected.skipped.push({ path: `${path}/`, reason: 'Ignored folder' });
+    return;
+  }
+
+  collected.directories.push(path);
+
+  // readEntries returns at most ~100 entries per call, so read until empty
+  const reader = entry.createReader();
+  let batch = await readDirectoryBatch(reader);
+  while (batch.length > 0) {
+    for (const child of batch) {
+      await walkEntry(child, path, collected);
+    }
+    batch = await readDirectoryBatch(reader);
+  }
+};
+
+/**
+ * Collects the files and folders of a drop event. Must be called
+ * synchronously from the drop handler: the browser empties the
+ * DataTransfer once the handler returns.
+ * @param {DataTransfer} dataTransfer - The drop event's data
+ * @returns {Promise<Object>} - Object with files ({ path, file }), directories and skipped entries
+ */
+export const collectDataTransferFiles = (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+  const looseFiles = Array.from(dataTransfer.files);
+
+  return (async () => {
+    const collected = { files: [], directories: [], skipped: [] };
+
+    if (entries.length > 0 && entries.every(Boolean)) {
+      for (const entry of entries) {
+        await walkEntry(entry, '', collected);
+      }
+    } else {
+      // Without the entries API only top-level files are available
+      looseFiles.forEach(file => collected.files.push({ path: file.name, file }));
+    }
+
+    return collected;
+  })();
+};
+
+/**
+ * Collects the files chosen through an <input webkitdirectory> picker
+ * @param {FileList} fileList - The selected files
+ * @returns {Object} - Object with files ({ path, file }), directories and skipped entries
+ */
+export const collectInputFiles = (fileList) => {
+  const collected = { files: [], directories: [], skipped: [] };
+
+  Array.from(fileList).forEach((file) => {
+    const path = file.webkitRelativePath || file.name;
+    const ignored = path.split('/').slice(0, -1).find(segment => IGNORED_DIRECTORIES.has(segment));
+
+    if (ignored) {
+      const folderPath = path.slice(0, path.indexOf(`${ignored}/`) + ignored.length + 1);
+      if (!collected.skipped.some(entry => entry.path === folderPath)) {
+        collected.skipped.push({ path: folderPath, reason: 'Ignored folder' });
+      }
+      return;
+    }
+
+    collected.files.push({ path, file });
+  });
+
+  return collected;
+};
+
+/**
+ * Checks whether a drop contains a single ZIP archive rather than a folder
+ * or loose files
+ * @param {DataTransfer} dataTransfer - The drop event's data
+ * @returns {File|null} - The archive, or null for folder drops
+ */
+export const getDroppedArchive = (dataTransfer) => {
+  const files = Array.from(dataTransfer.files);
+  const entry = dataTransfer.items?.[0]?.webkitGetAsEntry?.();
+
+  if (files.length === 1 && /\.zip$/i.test(files[0].name) && (!entry || entry.isFile)) {
+    return files[0];
+  }
+  return null;
+};
+
+/**
+ * Reads collected files into the nested structure format: text files become
+ * strings, binary files base64 file objects and folders nested objects
+ * @param {Object} collected - Result of collectDataTransferFiles or collectInputFiles
+ * @param {Object} options - Import options
+ * @param {number} options.maxFileSize - Files larger than this are skipped
+ * @returns {Promise<Object>} - Object with structure, skipped entries and summary counts
+ */
+export const convertFilesToStructure = async (collected, { maxFileSize = DEFAULT_MAX_FILE_SIZE } = {}) => {
+  const structure = {};
+  const skipped = [...collected.skipped];
+  const summary = { files: 0, folders: 0, binary: 0, skipped: 0 };
+
+  const ensureFolder = (segments) => {
+    let folder = structure;
+    for (const segment of segments) {
+      if (!hasEntry(folder, segment)) {
+        folder[segment] = {};
+        summary.folders++;
+      } else if (typeof folder[segment] !== 'object' || isFileObject(folder[segment])) {
+        return null;
+      }
+      folder = folder[segment];
+    }
+    return folder;
+  };
+
+  collected.directories.forEach((path) => {
+    if (path.split('/').some(isReservedSegment)) {
+      skipped.push({ path: `${path}/`, reason: 'Contains the reserved name "__proto__"' });
+    } else {
+      ensureFolder(path.split('/'));
+    }
+  });
+
+  for (const { path, file } of collected.files) {
+    const segments = path.split('/');
+    const name = segments.pop();
+
+    if (IGNORED_FILES.has(name)) {
+      skipped.push({ path, reason: 'System file' });
+      continue;
+    }
+
+    if (file.size > maxFileSize) {
+      skipped.push({ path, reason: `Larger than ${formatFileSize(maxFileSize)} (${formatFileSize(file.size)})` });
+      continue;
+    }
+
+    if ([...segments, name].some(isReservedSegment)) {
+      skipped.push({ path, reason: 'Contains the reserved name "__proto__"' });
+      continue;
+    }
+
+    const folder = ensureFolder(segments);
+    if (!folder || hasEntry(folder, name)) {
+      skipped.push({ path, reason: 'Path conflicts with an existing entry' });
+      continue;
+    }
+
+    let bytes;
+    try {
+      bytes = new Uint8Array(await file.arrayBuffer());
+    } catch (error) {
+      skipped.push({ path, reason: `Could not be read: ${error.message}` });
+      continue;
+    }
+
+    const text = decodeTextContent(bytes);
+    if (text === null) {
+      folder[name] = { content: bytesToBase64(bytes), encoding: 'base64' };
+      summary.binary++;
+    } else {
+      folder[name] = text;
+    }
+    summary.files++;
+  }
+
+  summary.skipped = skipped.length;
+  return { structure, skipped, summary };
+};
@@ -0,0 +1,125 @@
+const FENCE_OPEN_PATTERN = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const HEADING_PATTERN = /^ {0,3}#{1,6}\s+(.*?)\s*#*\s*$/;
+const PATH_ATTRIBUTE_PATTERN = /\b(?:title|file|filename|path)\s*=\s*(?:"([^"]+)"|'([^']+)'|(\S+))/i;
+
+// Extensionless names that are still clearly files
+const KNOWN_FILENAMES = new Set([
+  'Dockerfile', 'Makefile', 'Procfile', 'Gemfile', 'Rakefile', 'Vagrantfile',
+  'LICENSE', 'README', 'CHANGELOG', 'Jenkinsfile', 'Brewfile'
+]);
+
+/**
+ * Checks whether a string looks like a relative file path
+ * @param {string} value - Candidate text
+ * @returns {boolean} - True if the text can be used as a file path
+ */
+export const looksLikeFilePath = (value) => {
+  if (!value || /\s/.test(value) || /^[a-z]+:\/\//i.test(value)) return false;
+  if (!/^[\w.@~+\-/]+$/.test(value)) return false;
+
+  const name = value.split('/').pop();
+  return KNOWN_FILENAMES.has(name) || /^\.?[\w@~+-]+(\.[\w-]+)+$/.test(name) || /^\.[\w-]+$/.test(name);
+};
+
+/**
+ * Strips Markdown decoration such as backticks, emphasis, a trailing colon
+ * and a "File:" label from a heading or label line
+ */
+const cleanLabel = (text) => text
+  .trim()
+  .replace(/^(?:\*\*|__|`)+|(?:\*\*|__|`)+$/g, '')
+  .replace(/:$/, '')
+  .replace(/^(?:file(?:name)?|path)\s*:\s*/i, '')
+  .replace(/^(?:\*\*|__|`)+|(?:\*\*|__|`)+$/g, '')
+  .trim();
+
+/**
+ * Extracts a file path from a fence info string, e.g. "js src/index.js",
+ * "js:src/index.js", "src/index.js" or 'tsx title="src/App.tsx"'
+ * @param {string} info - The text after the opening fence
+ * @returns {Object} - Object with language and path (null if none)
+ */
+export const parseFenceInfo = (info) => {
+  const trimmed = info.trim();
+  const attribute = trimmed.match(PATH_ATTRIBUTE_PATTERN);
+  const tokens = trimmed.replace(PATH_ATTRIBUTE_PATTERN, '').split(/\s+/).filter(Boolean);
+  let language = null;
+  let path = attribute ? (attribute[1] || attribute[2] || attribute[3]) : null;
+
+  if (tokens.length > 0) {
+    const [first, ...rest] = tokens;
+    const colonIndex = first.indexOf(':');
+
+    if (colonIndex > 0 && looksLikeFilePath(first.slice(colonIndex + 1))) {
+      language = first.slice(0, colonIndex);
+      path = path || first.slice(colonIndex + 1);
+    } else if (looksLikeFilePath(first) && first.includes('/')) {
+      path = path || first;
+    } else {
+      language = first;
+      path = path || rest.find(looksLikeFilePath) || null;
+    }
+  }
+
+  return { language, path };
+};
+
+/**
+ * Parses a Markdown document containing one code block per file. The file
+ * path is taken from the fence info string or, failing that, from a heading
+ * or label line directly above the fence.
+ * @param {string} text - The Markdown document
+ * @returns {Object} - Object with records ({ path, content } list for the
+ * manifest format) and unmapped fences ({ line, language, reason })
+ */
+export const parseMarkdownBundle = (text) => {
+  const lines = text.split(/\r?\n/);
+  const records = [];
+  const unmapped = [];
+  let lastLabel = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const open = line.match(FENCE_OPEN_PATTERN);
+
+    // Backtick fences may not contain backticks in their info string
+    if (!open || (open[1][0] === '`' && open[2].includes('`'))) {
+      if (line.trim()) {
+        const heading = line.match(HEADING_PATTERN);
+        const label = cleanLabel(heading ? heading[1] : line);
+        lastLabel = looksLikeFilePath(label) ? label : null;
+      }
+      continue;
+    }
+
+    const fence = open[1];
+    const startLine = i + 1;
+    const closePattern = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`);
+    const body = [];
+
+    i++;
+    while (i < lines.length && !closePattern.test(lines[i])) {
+      body.push(lines[i]);
+      i++;
+    }
+
+    const { language, path: infoPath } = parseFenceInfo(open[2]);
+    const path = infoPath || lastLabel;
+    lastLabel = null;
+
+    if (!path) {
+      unmapped.push({
+        line: startLine,
+        language,
+        reason: 'No file path in the fence label or the heading above it'
+      });
+      continue;
+    }
+
+    // An unclosed fence runs to the end of the document, as in CommonMark
+    const content = body.join('\n');
+    records.push({ path, content: content ? `${content}\n` : '' });
+  }
+
+  return { records, unmapped };
+};
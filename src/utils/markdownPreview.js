@@ -0,0 +1,189 @@
+/**
+ * Parses the common subset of Markdown used in READMEs into plain objects
+ * for the file viewer to render: headings, paragraphs, fenced code, lists,
+ * block quotes, tables and rules, with code spans, emphasis, links and
+ * images inline. Raw HTML is kept as text, so rendering the result never
+ * injects markup.
+ */
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM_PATTERN = /^ {0,3}([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const QUOTE_PATTERN = /^ {0,3}> ?(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const splitTableRow = (line) => line
+  .trim()
+  .replace(/^\||\|$/g, '')
+  .split(/(?<!\\)\|/)
+  .map(cell => cell.trim());
+
+const startsBlock = (line, nextLine) => (
+  FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) ||
+  LIST_ITEM_PATTERN.test(line) || QUOTE_PATTERN.test(line) ||
+  (line.includes('|') && nextLine !== undefined && TABLE_DIVIDER_PATTERN.test(nextLine))
+);
+
+/**
+ * Parses Markdown text into blocks
+ * @param {string} text - Markdown source
+ * @returns {Array<Object>} - Blocks of type 'heading' { level, text },
+ * 'paragraph' { text }, 'code' { language, text }, 'list' { ordered,
+ * start, items }, 'quote' { blocks }, 'table' { header, rows } or 'rule'
+ */
+export const parseMarkdownBlocks = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index++;
+      continue;
+    }
+
+    const fence = FENCE_PATTERN.exec(line);
+    if (fence) {
+      const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const code = [];
+      index++;
+      while (index < lines.length && !closing.test(lines[index])) {
+        code.push(lines[index++]);
+      }
+      index++;
+      blocks.push({ type: 'code', language: fence[2], text: code.join('\n') });
+      continue;
+    }
+
+    const heading = HEADING_PATTERN.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      index++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: 'rule' });
+      index++;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (index < lines.length && lines[index].trim() && QUOTE_PATTERN.test(lines[index])) {
+        quoted.push(QUOTE_PATTERN.exec(lines[index++])[1]);
+      }
+      blocks.push({ type: 'quote', blocks: parseMarkdownBlocks(quoted.join('\n')) });
+      continue;
+    }
+
+    const listItem = LIST_ITEM_PATTERN.exec(line);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[1]);
+      const items = [];
+      while (index < lines.length) {
+        const item = LIST_ITEM_PATTERN.exec(lines[index]);
+        if (item && /\d/.test(item[1]) === ordered) {
+          items.push(item[2]);
+        } else if (items.length > 0 && /^\s+\S/.test(lines[index]) && !item) {
+          // Indented continuation of the previous item
+          items[items.length - 1] += ` ${lines[index].trim()}`;
+        } else {
+          break;
+        }
+        index++;
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? parseInt(listItem[1], 10) : 1, items });
+      continue;
+    }
+
+    if (line.includes('|') && index + 1 < lines.length && TABLE_DIVIDER_PATTERN.test(lines[index + 1])) {
+      const header = splitTableRow(line);
+      const rows = [];
+      index += 2;
+      while (index < lines.length && lines[index].includes('|') && lines[index].trim()) {
+        rows.push(splitTableRow(lines[index++]));
+      }
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    index++;
+    while (index < lines.length && lines[index].trim() && !startsBlock(lines[index], lines[index + 1])) {
+      paragraph.push(lines[index++].trim());
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+  }
+
+  return blocks;
+};
+
+// Inline rules tried in order at each position
+const INLINE_RULES = [
+  ['code', /`+([\s\S]*?[^`])`+(?!`)/y],
+  ['image', /!\[([^\]]*)\]\(\s*<?([^\s)>]*)>?(?:\s+"[^"]*")?\s*\)/y],
+  ['link', /\[([^\]]+)\]\(\s*<?([^\s)>]*)>?(?:\s+"[^"]*")?\s*\)/y],
+  ['autolink', /<((?:https?:\/\/|mailto:)[^\s>]+)>/y],
+  ['strong', /(\*\*|__)(?=\S)([\s\S]*?\S)\1/y],
+  ['em', /([*_])(?=\S)([\s\S]*?\S)\1(?![*_\w])/y],
+  ['del', /~~(?=\S)([\s\S]*?\S)~~/y],
+  ['break', / {2,}\n|\\\n/y],
+  ['escape', /\\([!-/:-@[-`{-~])/y]
+];
+
+/**
+ * Parses inline Markdown into nodes
+ * @param {string} text - Text of a heading, paragraph, list item or cell
+ * @returns {Array<Object>} - Nodes of type 'text' { text }, 'code' { text },
+ * 'strong' / 'em' / 'del' / 'link' { children }, 'link' also { href },
+ * 'image' { src, alt } or 'break'
+ */
+export const parseMarkdownInline = (text) => {
+  const nodes = [];
+  let plain = '';
+  let position = 0;
+
+  const flushPlain = () => {
+    if (plain) nodes.push({ type: 'text', text: plain });
+    plain = '';
+  };
+
+  while (position < text.length) {
+    let matched = false;
+
+    for (const [type, pattern] of INLINE_RULES) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(text);
+      if (!match) continue;
+
+      if (type === 'escape') {
+        plain += match[1];
+      } else {
+        flushPlain();
+        if (type === 'code') nodes.push({ type, text: match[1].trim() || match[1] });
+        if (type === 'image') nodes.push({ type, alt: match[1], src: match[2] });
+        if (type === 'link') nodes.push({ type, href: match[2], children: parseMarkdownInline(match[1]) });
+        if (type === 'autolink') nodes.push({ type: 'link', href: match[1], children: [{ type: 'text', text: match[1] }] });
+        if (type === 'strong') nodes.push({ type, children: parseMarkdownInline(match[2]) });
+        if (type === 'em') nodes.push({ type, children: parseMarkdownInline(match[2]) });
+        if (type === 'del') nodes.push({ type, children: parseMarkdownInline(match[1]) });
+        if (type === 'break') nodes.push({ type });
+      }
+
+      position += match[0].length;
+      matched = true;
+      break;
+    }
+
+    if (!matched) {
+      plain += text[position++];
+    }
+  }
+
+  flushPlain();
+  return nodes;
+};
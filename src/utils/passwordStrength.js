@@ -0,0 +1,59 @@
+/**
+ * Rough password strength estimate for the export dialog. It guesses the
+ * entropy from the character classes used and the length, with penalties
+ * for repeated characters, sequences and very common passwords. It is a
+ * hint for the user, not a guarantee.
+ */
+
+export const PASSWORD_STRENGTHS = [
+  { label: 'Very weak', minBits: 0 },
+  { label: 'Weak', minBits: 28 },
+  { label: 'Fair', minBits: 36 },
+  { label: 'Strong', minBits: 60 },
+  { label: 'Very strong', minBits: 80 }
+];
+
+const COMMON_PASSWORDS = new Set([
+  '123456', '12345678', '123456789', '1234567890', 'password', 'password1',
+  'qwerty', 'qwertyuiop', 'abc123', '111111', 'letmein', 'welcome', 'admin',
+  'iloveyou', 'monkey', 'dragon', 'secret', 'passw0rd', 'changeme'
+]);
+
+const CHARACTER_CLASSES = [
+  { pattern: /[a-z]/, size: 26 },
+  { pattern: /[A-Z]/, size: 26 },
+  { pattern: /[0-9]/, size: 10 },
+  { pattern: /[^a-zA-Z0-9]/, size: 33 }
+];
+
+// Characters that repeat or continue a run like "abc" or "321" add little
+const countPredictableCharacters = (password) => {
+  let count = 0;
+  for (let index = 1; index < password.length; index++) {
+    const step = password.charCodeAt(index) - password.charCodeAt(index - 1);
+    if (step === 0 || step === 1 || step === -1) count++;
+  }
+  return count;
+};
+
+/**
+ * Estimates how hard a password is to guess
+ * @param {string} password - Password to rate
+ * @returns {Object} - Object with score (index into PASSWORD_STRENGTHS),
+ * label and the estimated entropy in bits
+ */
+export const estimatePasswordStrength = (password) => {
+  const characters = [...password];
+  const poolSize = CHARACTER_CLASSES
+    .filter(({ pattern }) => pattern.test(password))
+    .reduce((sum, { size }) => sum + size, 0);
+
+  let bits = 0;
+  if (!COMMON_PASSWORDS.has(password.toLowerCase()) && poolSize > 0) {
+    const effectiveLength = characters.length - countPredictableCharacters(password) / 2;
+    bits = Math.round(effectiveLength * Math.log2(poolSize));
+  }
+
+  const score = PASSWORD_STRENGTHS.reduce((best, { minBits }, index) => (bits >= minBits ? index : best), 0);
+  return { score, label: PASSWORD_STRENGTHS[score].label, bits };
+};
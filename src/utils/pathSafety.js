@@ -0,0 +1,188 @@
+/**
+ * How the engine treats unsafe paths found in the input
+ */
+export const PATH_POLICIES = {
+  // Keep the path as written and refuse to generate the archive
+  BLOCK: 'block',
+  // Rewrite the path into a safe relative path
+  FIX: 'fix'
+};
+
+export const PATH_POLICY_OPTIONS = [
+  { value: PATH_POLICIES.BLOCK, label: 'Block download' },
+  { value: PATH_POLICIES.FIX, label: 'Auto-fix paths' }
+];
+
+// C0 control characters and DEL
+const isControlCharacter = (character) => {
+  const code = character.charCodeAt(0);
+  return code < 0x20 || code === 0x7f;
+};
+const DRIVE_LETTER = /^[a-zA-Z]:/;
+const PARENT_TRAVERSAL = 'Parent directory traversal (..)';
+
+/**
+ * Error thrown when an archive would contain paths that escape the
+ * extraction folder
+ */
+export class UnsafePathError extends Error {
+  constructor(problems) {
+    super(`Refusing to write ${problems.length} unsafe path${problems.length === 1 ? '' : 's'}: ` +
+      problems.slice(0, 3).map(problem => problem.path).join(', ') +
+      (problems.length > 3 ? ', …' : ''));
+    this.name = 'UnsafePathError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Lists the reasons a slash separated path is unsafe to extract
+ * @param {string} path - Path as written in the structure
+ * @returns {string[]} - Reasons, empty when the path is safe
+ */
+export const findPathProblems = (path) => {
+  const problems = [];
+
+  if (path.includes('\u0000')) {
+    problems.push('Contains a NUL character');
+  } else if ([...path].some(isControlCharacter)) {
+    problems.push('Contains control characters');
+  }
+
+  if (/^[/\\]/.test(path)) {
+    problems.push('Absolute path');
+  }
+
+  if (DRIVE_LETTER.test(path)) {
+    problems.push('Windows drive letter');
+  }
+
+  if (path.split(/[/\\]/).includes('..')) {
+    problems.push(PARENT_TRAVERSAL);
+  }
+
+  if (path.includes('\\')) {
+    problems.push('Backslash is a path separator on Windows');
+  }
+
+  return problems;
+};
+
+/**
+ * Lists the reasons a single file or folder name is unsafe
+ * @param {string} name - Node name in the file tree
+ * @returns {string[]} - Reasons, empty when the name is safe
+ */
+export const findNameProblems = (name) => {
+  const problems = findPathProblems(name);
+
+  if (name === '.' || name === '') {
+    problems.push('Not a valid file or folder name');
+  }
+  if (name.includes('/')) {
+    problems.push('Name contains a path separator');
+  }
+
+  return problems;
+};
+
+/**
+ * Lists the reasons a symlink target is unsafe. Relative targets may use
+ * ".." as long as they resolve to a location inside the archive.
+ * @param {string} linkPath - Path of the symlink relative to the archive root
+ * @param {string} target - The symlink target
+ * @returns {string[]} - Reasons, empty when the target is safe
+ */
+export const findSymlinkProblems = (linkPath, target) => {
+  if (!target) return ['Empty symlink target'];
+
+  const problems = findPathProblems(target).filter(problem => problem !== PARENT_TRAVERSAL);
+  const segments = linkPath.split('/').slice(0, -1);
+
+  for (const segment of target.split('/')) {
+    if (segment === '..') {
+      if (segments.length === 0) {
+        problems.push('Symlink points outside the archive');
+        break;
+      }
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Rewrites a path into a safe relative path: backslashes become slashes,
+ * drive letters, leading slashes and control characters are removed and
+ * ".." segments are resolved without ever leaving the root
+ * @param {string} path - Path as written in the structure
+ * @returns {string} - Safe relative path, possibly empty
+ */
+export const sanitizePath = (path) => {
+  const segments = [];
+
+  [...path]
+    .filter(character => !isControlCharacter(character))
+    .join('')
+    .replace(/\\/g, '/')
+    .split('/')
+    .forEach((segment, index) => {
+      // A drive letter only counts at the start of the path, as in findPathProblems
+      const cleaned = index === 0 ? segment.replace(DRIVE_LETTER, '') : segment;
+      if (cleaned === '..') {
+        segments.pop();
+      } else if (cleaned && cleaned !== '.') {
+        segments.push(cleaned);
+      }
+    });
+
+  return segments.join('/');
+};
+
+/**
+ * Checks every node of a file tree for names that would escape the
+ * extraction folder, and for nodes the engine flagged as `unsafe` while
+ * mapping the input
+ * @param {Object} tree - Root folder node
+ * @returns {Object[]} - Problems as { path, reason }
+ */
+export const validateTreePaths = (tree) => {
+  const problems = [];
+
+  const visit = (node, basePath) => {
+    const path = basePath ? `${basePath}/${node.name}` : node.name;
+    const reasons = findNameProblems(node.name);
+    if (reasons.length > 0) {
+      problems.push({ path, reason: reasons.join('; ') });
+    } else if (node.unsafe) {
+      problems.push({ path, reason: node.unsafe });
+    }
+    (node.children || []).forEach(child => visit(child, path));
+  };
+
+  (tree.children || []).forEach(child => visit(child, ''));
+  return problems;
+};
+
+/**
+ * Throws when a file tree, or the folder it is written into, contains
+ * unsafe names
+ * @param {Object} tree - Root folder node
+ * @param {Object} options - Write options
+ * @param {string} options.rootFolder - Folder the archive wraps every entry in, '' for none
+ * @throws {UnsafePathError} - When any node is unsafe
+ */
+export const assertSafeTree = (tree, { rootFolder = '' } = {}) => {
+  const problems = validateTreePaths(tree);
+  const rootReasons = rootFolder ? findNameProblems(rootFolder) : [];
+  if (rootReasons.length > 0) {
+    problems.unshift({ path: rootFolder, reason: rootReasons.join('; ') });
+  }
+
+  if (problems.length > 0) {
+    throw new UnsafePathError(problems);
+  }
+};
@@ -0,0 +1,129 @@
+import { isReservedFilename, sanitizeFilename } from './converterUtils';
+
+// Windows refuses longer paths unless long path support is enabled
+export const MAX_PORTABLE_PATH_LENGTH = 260;
+
+// Besides these, Windows rejects the control characters below 0x20
+const WINDOWS_INVALID_CHARACTERS = /[<>:"\\|?*]/;
+
+const joinPath = (basePath, name) => (basePath ? `${basePath}/${name}` : name);
+
+// Key under which Windows (case-insensitive) and macOS (normalising) see a name
+const comparisonKey = (name) => name.normalize('NFC').toLowerCase();
+
+const splitExtension = (name) => {
+  const dotIndex = name.lastIndexOf('.');
+  return dotIndex > 0 ? [name.slice(0, dotIndex), name.slice(dotIndex)] : [name, ''];
+};
+
+/**
+ * Shortens the stem of a name so the full path fits the length limit
+ * @returns {string|null} - The shortened name, or null if even a one
+ * character stem would not fit
+ */
+const shortenName = (name, basePath) => {
+  const available = MAX_PORTABLE_PATH_LENGTH - (basePath ? basePath.length + 1 : 0);
+  if (name.length <= available) return name;
+
+  const [stem, extension] = splitExtension(name);
+  const stemLength = available - extension.length;
+  return stemLength > 0 ? stem.slice(0, stemLength) + extension : null;
+};
+
+/**
+ * Appends " (2)", " (3)"… before the extension until the name is free
+ */
+const makeUniqueName = (name, takenKeys) => {
+  const [stem, extension] = splitExtension(name);
+  let counter = 2;
+  let candidate = `${stem} (${counter})${extension}`;
+
+  while (takenKeys.has(comparisonKey(candidate))) {
+    counter++;
+    candidate = `${stem} (${counter})${extension}`;
+  }
+  return candidate;
+};
+
+/**
+ * Lists the reasons a single name cannot be created on every platform
+ * @param {string} name - File or folder name
+ * @returns {string[]} - Reasons, empty when the name is portable
+ */
+export const findNamePortabilityProblems = (name) => {
+  const problems = [];
+
+  if (isReservedFilename(name)) {
+    problems.push(`"${name.split('.')[0]}" is a reserved device name on Windows`);
+  }
+  if (/[. ]$/.test(name)) {
+    problems.push('Windows drops trailing dots and spaces');
+  }
+  if (WINDOWS_INVALID_CHARACTERS.test(name) || [...name].some(character => character.charCodeAt(0) < 0x20)) {
+    problems.push('Contains characters Windows does not allow');
+  }
+
+  return problems;
+};
+
+/**
+ * Checks a file tree for names that break when the archive is extracted on
+ * Windows or macOS and works out a portable name for each of them: reserved
+ * device names, trailing dots and spaces, invalid characters, siblings that
+ * only differ in case or Unicode normalisation (NFC vs NFD) and paths longer
+ * than MAX_PORTABLE_PATH_LENGTH characters. Fixes of parent folders are
+ * taken into account for their children.
+ * @param {Object} tree - Root folder node
+ * @returns {Object} - Object with problems ({ path, reason, fixedPath }) and
+ * renames, a Map from node path to its portable name
+ */
+export const checkPortability = (tree) => {
+  const problems = [];
+  const renames = new Map();
+
+  const visitFolder = (folder, fixedBasePath) => {
+    const takenKeys = new Map();
+
+    folder.children.forEach((node) => {
+      const reasons = findNamePortabilityProblems(node.name);
+      let fixedName = reasons.length > 0 ? sanitizeFilename(node.name) : node.name;
+
+      const shortened = shortenName(fixedName, fixedBasePath);
+      if (shortened !== fixedName) {
+        const length = joinPath(fixedBasePath, fixedName).length;
+        reasons.push(`Path is ${length} characters, Windows allows ${MAX_PORTABLE_PATH_LENGTH}`);
+        fixedName = shortened ?? fixedName;
+      }
+
+      const key = comparisonKey(fixedName);
+      const existing = takenKeys.get(key);
+      if (existing !== undefined) {
+        reasons.push(existing.normalize('NFC') === fixedName.normalize('NFC') && existing !== fixedName
+          ? `Same name as "${existing}" after Unicode normalisation (NFC/NFD)`
+          : `Same name as "${existing}" on case-insensitive file systems`);
+        fixedName = makeUniqueName(fixedName, takenKeys);
+      }
+      takenKeys.set(comparisonKey(fixedName), fixedName);
+
+      const fixedPath = joinPath(fixedBasePath, fixedName);
+      if (reasons.length > 0) {
+        problems.push({
+          path: node.path,
+          reason: reasons.join('; '),
+          // A path that cannot be shortened enough needs a shorter parent
+          fixedPath: shortened === null ? null : fixedPath
+        });
+      }
+      if (fixedName !== node.name) {
+        renames.set(node.path, fixedName);
+      }
+
+      if (node.type === 'folder') {
+        visitFolder(node, fixedPath);
+      }
+    });
+  };
+
+  visitFolder(tree, '');
+  return { problems, renames };
+};
@@ -0,0 +1,317 @@
+import pako from 'pako';
+import { getFileData, REPRODUCIBLE_DATE, sortTree } from './conversionEngine';
+import { crc32 } from './crc32';
+import { DEFAULT_FILE_MODE, DEFAULT_FOLDER_MODE } from './fileMetadata';
+import { assertSafeTree } from './pathSafety';
+
+/**
+ * ZIP writer that emits the archive chunk by chunk into a WritableStream
+ * instead of building it in memory, so archives of any size can be written
+ * straight to disk. Files are read and compressed in CHUNK_SIZE pieces and
+ * each write waits for the stream, keeping memory use flat.
+ *
+ * ZIP64 records are added only where needed: for entries or offsets past
+ * 4 GB and for archives with more than 65,535 entries. Smaller archives are
+ * plain ZIP files.
+ */
+
+const SIGNATURE_LOCAL_FILE = 0x04034b50;
+const SIGNATURE_DATA_DESCRIPTOR = 0x08074b50;
+const SIGNATURE_CENTRAL_DIRECTORY = 0x02014b50;
+const SIGNATURE_ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const SIGNATURE_ZIP64_END_LOCATOR = 0x07064b50;
+const SIGNATURE_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+// Sizes and CRC follow the data in a data descriptor
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+// Upper byte 3 marks UNIX external attributes
+const VERSION_MADE_BY = (3 << 8) | 63;
+
+const ZIP64_EXTRA_FIELD = 0x0001;
+const MAX_32_BIT = 0xffffffff;
+const MAX_16_BIT = 0xffff;
+
+const CHUNK_SIZE = 64 * 1024;
+
+const encoder = new TextEncoder();
+
+const joinPath = (basePath, name) => (basePath ? `${basePath}/${name}` : name);
+
+// MS-DOS date and time fields, written in UTC like JSZip does
+const toDosDateTime = (date) => ({
+  time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+  date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+});
+
+// Values from MAX_32_BIT up are stored in ZIP64 records; the 32 bit field
+// then holds MAX_32_BIT as a marker
+const isZip64Value = (value) => value >= MAX_32_BIT;
+const to32Bit = (value) => (isZip64Value(value) ? MAX_32_BIT : value);
+
+// Deflate can grow incompressible data by 5 bytes per 16 KB block
+const maxDeflatedSize = (size) => size + Math.ceil(size / 16383) * 5 + 16;
+
+const createZip64ExtraField = (values) => {
+  const field = new Uint8Array(4 + 8 * values.length);
+  const view = new DataView(field.buffer);
+  view.setUint16(0, ZIP64_EXTRA_FIELD, true);
+  view.setUint16(2, 8 * values.length, true);
+  values.forEach((value, index) => view.setBigUint64(4 + 8 * index, BigInt(value), true));
+  return field;
+};
+
+/**
+ * Local headers of deflated entries leave CRC and sizes to the data
+ * descriptor. ZIP64 entries carry an extra field, which also makes their
+ * data descriptor use 64 bit sizes.
+ */
+const createLocalHeader = (entry) => {
+  const extra = entry.zip64 ? createZip64ExtraField([entry.size, entry.compressedSize]) : new Uint8Array(0);
+  const header = new Uint8Array(30 + entry.name.length + extra.length);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, SIGNATURE_LOCAL_FILE, true);
+  view.setUint16(4, entry.zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, true);
+  view.setUint16(6, entry.flags, true);
+  view.setUint16(8, entry.method, true);
+  view.setUint16(10, entry.dosDateTime.time, true);
+  view.setUint16(12, entry.dosDateTime.date, true);
+  view.setUint32(14, entry.crc, true);
+  view.setUint32(18, entry.zip64 ? MAX_32_BIT : entry.compressedSize, true);
+  view.setUint32(22, entry.zip64 ? MAX_32_BIT : entry.size, true);
+  view.setUint16(26, entry.name.length, true);
+  view.setUint16(28, extra.length, true);
+  header.set(entry.name, 30);
+  header.set(extra, 30 + entry.name.length);
+  return header;
+};
+
+const createDataDescriptor = (entry) => {
+  const sizeLength = entry.zip64 ? 8 : 4;
+  const descriptor = new Uint8Array(8 + 2 * sizeLength);
+  const view = new DataView(descriptor.buffer);
+  view.setUint32(0, SIGNATURE_DATA_DESCRIPTOR, true);
+  view.setUint32(4, entry.crc, true);
+  if (entry.zip64) {
+    view.setBigUint64(8, BigInt(entry.compressedSize), true);
+    view.setBigUint64(16, BigInt(entry.size), true);
+  } else {
+    view.setUint32(8, entry.compressedSize, true);
+    view.setUint32(12, entry.size, true);
+  }
+  return descriptor;
+};
+
+// Values that do not fit 32 bits move into the ZIP64 extra field, in the
+// order uncompressed size, compressed size, local header offset
+const createCentralDirectoryHeader = (entry) => {
+  const overflowing = [entry.size, entry.compressedSize, entry.offset].filter(isZip64Value);
+  const extra = overflowing.length > 0 ? createZip64ExtraField(overflowing) : new Uint8Array(0);
+  const header = new Uint8Array(46 + entry.name.length + extra.length);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, SIGNATURE_CENTRAL_DIRECTORY, true);
+  view.setUint16(4, VERSION_MADE_BY, true);
+  view.setUint16(6, entry.zip64 || extra.length > 0 ? VERSION_ZIP64 : VERSION_DEFAULT, true);
+  view.setUint16(8, entry.flags, true);
+  view.setUint16(10, entry.method, true);
+  view.setUint16(12, entry.dosDateTime.time, true);
+  view.setUint16(14, entry.dosDateTime.date, true);
+  view.setUint32(16, entry.crc, true);
+  view.setUint32(20, to32Bit(entry.compressedSize), true);
+  view.setUint32(24, to32Bit(entry.size), true);
+  view.setUint16(28, entry.name.length, true);
+  view.setUint16(30, extra.length, true);
+  // Comment length, disk number and internal attributes stay zero
+  view.setUint32(38, entry.externalAttributes, true);
+  view.setUint32(42, to32Bit(entry.offset), true);
+  header.set(entry.name, 46);
+  header.set(extra, 46 + entry.name.length);
+  return header;
+};
+
+const createZip64EndRecords = (entryCount, directorySize, directoryOffset) => {
+  const records = new Uint8Array(56 + 20);
+  const view = new DataView(records.buffer);
+  view.setUint32(0, SIGNATURE_ZIP64_END_OF_CENTRAL_DIRECTORY, true);
+  // Size of the rest of the record
+  view.setBigUint64(4, 44n, true);
+  view.setUint16(12, VERSION_MADE_BY, true);
+  view.setUint16(14, VERSION_ZIP64, true);
+  view.setBigUint64(24, BigInt(entryCount), true);
+  view.setBigUint64(32, BigInt(entryCount), true);
+  view.setBigUint64(40, BigInt(directorySize), true);
+  view.setBigUint64(48, BigInt(directoryOffset), true);
+
+  view.setUint32(56, SIGNATURE_ZIP64_END_LOCATOR, true);
+  view.setBigUint64(64, BigInt(directoryOffset + directorySize), true);
+  view.setUint32(72, 1, true);
+  return records;
+};
+
+const createEndOfCentralDirectory = (entryCount, directorySize, directoryOffset) => {
+  const record = new Uint8Array(22);
+  const view = new DataView(record.buffer);
+  view.setUint32(0, SIGNATURE_END_OF_CENTRAL_DIRECTORY, true);
+  view.setUint16(8, Math.min(entryCount, MAX_16_BIT), true);
+  view.setUint16(10, Math.min(entryCount, MAX_16_BIT), true);
+  view.setUint32(12, to32Bit(directorySize), true);
+  view.setUint32(16, to32Bit(directoryOffset), true);
+  return record;
+};
+
+/**
+ * Writes a file tree as a ZIP archive into a WritableStream, such as a
+ * FileSystemWritableFileStream. Modes and mtimes of file nodes are kept like
+ * in the other writers. Trees with unsafe names are rejected with an
+ * UnsafePathError. The stream is closed when the archive is complete and
+ * aborted if writing fails.
+ * @param {Object} tree - Root folder node
+ * @param {WritableStream} writable - Stream receiving the archive bytes
+ * @param {Object} options - Archive options
+ * @param {string} options.compression - 'STORE' or 'DEFLATE'
+ * @param {number} options.compressionLevel - Deflate level from 1 (fastest) to 9 (smallest)
+ * @param {string} options.rootFolder - Folder to wrap every entry in, '' for none
+ * @param {boolean} options.reproducible - Sort entries and use REPRODUCIBLE_DATE
+ * @param {Function} options.onProgress - Called with { percent, currentFile }
+ * as each entry is written
+ * @returns {Promise<number>} - Size of the archive in bytes
+ */
+export const writeZipToStream = async (tree, writable, {
+  compression = 'STORE',
+  compressionLevel = 6,
+  rootFolder = '',
+  reproducible = false,
+  onProgress = null
+} = {}) => {
+  assertSafeTree(tree, { rootFolder });
+
+  const date = reproducible ? REPRODUCIBLE_DATE : new Date();
+  const nodes = [];
+  const collect = (node, basePath) => {
+    const path = joinPath(basePath, node.name);
+    nodes.push({ node, path });
+    if (node.type === 'folder') {
+      (node.children || []).forEach(child => collect(child, path));
+    }
+  };
+  if (rootFolder) {
+    nodes.push({ node: { type: 'folder', name: rootFolder }, path: rootFolder });
+  }
+  (reproducible ? sortTree(tree) : tree).children.forEach(child => collect(child, rootFolder));
+
+  const writer = writable.getWriter();
+  const written = [];
+  let offset = 0;
+
+  const write = async (chunk) => {
+    await writer.write(chunk);
+    offset += chunk.length;
+  };
+
+  // Stored entries know their CRC and sizes before the data is written
+  const writeStoredEntry = async (entry, data) => {
+    const stored = { ...entry, method: METHOD_STORE, crc: crc32(data), size: data.length, compressedSize: data.length };
+    await write(createLocalHeader(stored));
+    for (let start = 0; start < data.length; start += CHUNK_SIZE) {
+      await write(data.subarray(start, start + CHUNK_SIZE));
+    }
+    return stored;
+  };
+
+  const writeFileEntry = async (entry, data) => {
+    const deflate = compression === 'DEFLATE' && data.length > 0;
+    const zip64 = isZip64Value(deflate ? maxDeflatedSize(data.length) : data.length);
+    if (!deflate) {
+      return writeStoredEntry({ ...entry, zip64 }, data);
+    }
+
+    const deflating = { ...entry, zip64, flags: entry.flags | FLAG_DATA_DESCRIPTOR, method: METHOD_DEFLATE, crc: 0, size: 0, compressedSize: 0 };
+    await write(createLocalHeader(deflating));
+
+    const deflator = new pako.Deflate({ raw: true, level: compressionLevel });
+    let pending = [];
+    deflator.onData = (chunk) => pending.push(chunk);
+
+    let crc = 0;
+    let compressedSize = 0;
+    for (let start = 0; start < data.length; start += CHUNK_SIZE) {
+      const chunk = data.subarray(start, start + CHUNK_SIZE);
+      crc = crc32(chunk, crc);
+      deflator.push(chunk, start + CHUNK_SIZE >= data.length);
+      if (deflator.err) {
+        throw new Error(`${entry.path}: ${deflator.msg}`);
+      }
+
+      const output = pending;
+      pending = [];
+      for (const compressed of output) {
+        await write(compressed);
+        compressedSize += compressed.length;
+      }
+    }
+
+    const complete = { ...deflating, crc, size: data.length, compressedSize };
+    await write(createDataDescriptor(complete));
+    return complete;
+  };
+
+  try {
+    for (const [index, { node, path }] of nodes.entries()) {
+      if (node.error) {
+        throw new Error(`${path}: ${node.error}`);
+      }
+
+      const isFolder = node.type === 'folder';
+      const mode = typeof node.mode === 'number' ? node.mode : null;
+      const entry = {
+        path,
+        name: encoder.encode(isFolder ? `${path}/` : path),
+        flags: FLAG_UTF8,
+        zip64: false,
+        dosDateTime: toDosDateTime((node.type === 'file' && node.mtime) || date),
+        offset
+      };
+
+      if (isFolder) {
+        // UNIX mode in the upper half, the MS-DOS directory bit in the lower
+        entry.externalAttributes = (((0o40000 | (mode ?? DEFAULT_FOLDER_MODE)) << 16) | 0x10) >>> 0;
+        written.push(await writeStoredEntry(entry, new Uint8Array(0)));
+      } else if (node.type === 'symlink') {
+        entry.externalAttributes = (0o120777 << 16) >>> 0;
+        written.push(await writeStoredEntry(entry, encoder.encode(node.target)));
+      } else {
+        const data = getFileData({ ...node, path });
+        entry.externalAttributes = ((0o100000 | (mode ?? DEFAULT_FILE_MODE)) << 16) >>> 0;
+        written.push(await writeFileEntry(entry, typeof data === 'string' ? encoder.encode(data) : data));
+      }
+
+      if (onProgress) {
+        onProgress({ percent: ((index + 1) / nodes.length) * 100, currentFile: path });
+      }
+    }
+
+    const directoryOffset = offset;
+    for (const entry of written) {
+      await write(createCentralDirectoryHeader(entry));
+    }
+    const directorySize = offset - directoryOffset;
+
+    const needsZip64 = written.length >= MAX_16_BIT || isZip64Value(directoryOffset) || isZip64Value(directorySize);
+    if (needsZip64) {
+      await write(createZip64EndRecords(written.length, directorySize, directoryOffset));
+    }
+    await write(createEndOfCentralDirectory(written.length, directorySize, directoryOffset));
+    await writer.close();
+  } catch (err) {
+    await writer.abort(err).catch(() => {});
+    throw err;
+  }
+
+  return offset;
+};
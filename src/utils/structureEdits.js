@@ -0,0 +1,465 @@
+import { isFolderValue, isManifest, isSymlinkObject, splitKeyPath } from './conversionEngine';
+import { encodeTextContent, isFileObject, parseDataUrl } from './encodingUtils';
+
+/**
+ * Edits made in the tree preview, applied to the parsed structure rather
+ * than the tree so the input keeps its key order, file objects and
+ * metadata. Structures in folder form and manifests can be edited. Every
+ * edit returns a new structure and leaves the original untouched.
+ *
+ * Slash separated keys ("src/app.js") are kept as long as the edited entry
+ * is held by a single key. When the edit reaches inside a key, or the entry
+ * is spread over several keys such as "src/a.js" next to "src": { ... },
+ * the keys sharing the first segment are merged into one nested folder first.
+ */
+
+/**
+ * Error thrown when an edit cannot be applied, e.g. because the name is
+ * already taken
+ */
+export class TreeEditError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TreeEditError';
+  }
+}
+
+const joinPath = (basePath, name) => (basePath ? `${basePath}/${name}` : name);
+
+const splitPath = (path) => {
+  const segments = path.split('/');
+  return { parentPath: segments.slice(0, -1).join('/'), name: segments[segments.length - 1] };
+};
+
+/**
+ * Checks a file or folder name typed in the tree
+ * @param {string} name - The name to check
+ * @returns {string|null} - Why the name cannot be used, or null if it can
+ */
+export const validateEntryName = (name) => {
+  if (!name.trim()) return 'Names cannot be empty';
+  if (name.includes('/')) return 'Names cannot contain "/"';
+  if (name === '.' || name === '..') return `"${name}" cannot be used as a name`;
+  return null;
+};
+
+const checkName = (name) => {
+  const problem = validateEntryName(name);
+  if (problem) throw new TreeEditError(problem);
+};
+
+/**
+ * Picks a name that is not taken yet by adding " copy" or a number before
+ * the extension, e.g. "app.js" becomes "app copy.js", then "app copy 2.js"
+ * @param {Iterable<string>} takenNames - Names already used in the folder
+ * @param {string} name - Preferred name
+ * @param {string} suffix - Text to add when the name is taken
+ * @returns {string} - A free name
+ */
+export const getUniqueName = (takenNames, name, suffix = ' copy') => {
+  const taken = new Set(takenNames);
+  if (!taken.has(name)) return name;
+
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+
+  let candidate = `${base}${suffix}${extension}`;
+  for (let count = 2; taken.has(candidate); count++) {
+    candidate = `${base}${suffix} ${count}${extension}`;
+  }
+  return candidate;
+};
+
+const encodingOf = (file) => (file.encoding ? String(file.encoding).toLowerCase().replace('-', '') : 'utf8');
+
+// Stores text in a file value without changing its shape: plain strings stay
+// strings (data: URLs keep their MIME type and encoding), file objects keep
+// their other fields and encoding
+const withFileText = (value, text) => {
+  if (isFileObject(value)) {
+    const key = Object.prototype.hasOwnProperty.call(value, 'content') ? 'content' : 'data';
+    return { ...value, [key]: encodeTextContent(text, encodingOf(value)) };
+  }
+
+  const dataUrl = parseDataUrl(value);
+  if (dataUrl) {
+    return dataUrl.encoding === 'base64'
+      ? `data:${dataUrl.mimeType};base64,${encodeTextContent(text, 'base64')}`
+      : `data:${dataUrl.mimeType},${encodeURIComponent(text)}`;
+  }
+  return text;
+};
+
+// Folder form ---------------------------------------------------------------
+
+const startsWith = (segments, prefix) => prefix.every((segment, index) => segments[index] === segment);
+
+// Names of the entries in a folder, wherever their keys are spelled out
+const namesIn = (folder, segments) => {
+  const names = new Set();
+  Object.entries(folder).forEach(([key, value]) => {
+    const keySegments = splitKeyPath(key);
+    if (keySegments.length > segments.length && startsWith(keySegments, segments)) {
+      names.add(keySegments[segments.length]);
+    } else if (startsWith(segments, keySegments) && isFolderValue(value)) {
+      namesIn(value, segments.slice(keySegments.length)).forEach(name => names.add(name));
+    }
+  });
+  return names;
+};
+
+// Keys holding an entry or part of it: its own key, keys of the folders
+// above it and longer keys inside it
+const keysOnPath = (folder, segments) => Object.keys(folder).filter((key) => {
+  const keySegments = splitKeyPath(key);
+  return startsWith(segments, keySegments) || startsWith(keySegments, segments);
+});
+
+// Rebuilds a folder so that `name` is one plain key holding a nested folder,
+// merging "name/..." keys into it at the position of the first of them
+const nestKeys = (folder, name) => {
+  const result = {};
+  let merged = null;
+
+  Object.entries(folder).forEach(([key, value]) => {
+    const segments = splitKeyPath(key);
+    if (segments[0] !== name) {
+      result[key] = value;
+      return;
+    }
+
+    if (!merged) {
+      merged = {};
+      result[name] = merged;
+    }
+    if (segments.length > 1) {
+      merged[segments.slice(1).join('/')] = value;
+    } else if (isFolderValue(value)) {
+      Object.assign(merged, value);
+    } else {
+      throw new TreeEditError(`"${name}" is used as a file and as a folder`);
+    }
+  });
+
+  return result;
+};
+
+// Finds the keys leading to an entry, e.g. ["src", "lib/util.js"], nesting
+// keys on the way until a single chain of keys holds it. Returns the chain
+// and the rewritten folder
+const resolveEntry = (folder, segments, path = segments.join('/')) => {
+  const keys = keysOnPath(folder, segments);
+  if (keys.length === 0) {
+    throw new TreeEditError(`"${path}" was not found`);
+  }
+
+  if (keys.length === 1) {
+    const [key] = keys;
+    const keySegments = splitKeyPath(key);
+    if (keySegments.length === segments.length) {
+      return { folder, chain: [key] };
+    }
+    if (keySegments.length < segments.length) {
+      if (!isFolderValue(folder[key])) {
+        throw new TreeEditError(`"${path}" was not found`);
+      }
+      const inner = resolveEntry(folder[key], segments.slice(keySegments.length), path);
+      return { folder: { ...folder, [key]: inner.folder }, chain: [key, ...inner.chain] };
+    }
+  }
+
+  // The entry is spread over several keys or implied by longer ones
+  const [name, ...rest] = segments;
+  const nested = nestKeys(folder, name);
+  if (rest.length === 0) {
+    return { folder: nested, chain: [name] };
+  }
+  const inner = resolveEntry(nested[name], rest, path);
+  return { folder: { ...nested, [name]: inner.folder }, chain: [name, ...inner.chain] };
+};
+
+// Applies update(folder, key) to the object holding the last key of a chain
+const updateChain = (folder, [key, ...rest], update) => (
+  rest.length === 0 ? update(folder, key) : { ...folder, [key]: updateChain(folder[key], rest, update) }
+);
+
+// Applies update(folder, key) to the object holding an entry's key
+const updateEntry = (structure, path, update) => {
+  const { folder, chain } = resolveEntry(structure, splitKeyPath(path));
+  return updateChain(folder, chain, update);
+};
+
+// Applies update to the folder object at a path and returns the new root
+const updateFolder = (structure, segments, update) => {
+  if (segments.length === 0) return update(structure);
+
+  const { folder, chain } = resolveEntry(structure, segments);
+  return updateChain(folder, chain, (parent, key) => {
+    if (!isFolderValue(parent[key])) {
+      throw new TreeEditError(`"${segments.join('/')}" is not a folder`);
+    }
+    return { ...parent, [key]: update(parent[key]) };
+  });
+};
+
+// Rebuilds an object entry by entry, keeping the key order
+const mapEntries = (folder, callback) => Object.fromEntries(
+  Object.entries(folder).flatMap(([key, value]) => callback(key, value))
+);
+
+// Replaces the last segment of a possibly slash separated key
+const renameKey = (key, name) => [...splitKeyPath(key).slice(0, -1), name].join('/');
+
+const checkFree = (structure, folderPath, name, where = '') => {
+  if (namesIn(structure, splitKeyPath(folderPath)).has(name)) {
+    throw new TreeEditError(`"${name}" already exists${where}`);
+  }
+};
+
+const editFolderForm = {
+  add: (structure, parentPath, name, value) => {
+    checkFree(structure, parentPath, name);
+    return updateFolder(structure, splitKeyPath(parentPath), folder => ({ ...folder, [name]: value }));
+  },
+  rename: (structure, path, newName) => {
+    checkFree(structure, splitPath(path).parentPath, newName);
+    return updateEntry(structure, path, (folder, key) => (
+      mapEntries(folder, (entryKey, value) => [[entryKey === key ? renameKey(key, newName) : entryKey, value]])
+    ));
+  },
+  remove: (structure, path) => editFolderForm.take(structure, path).structure,
+  // Removes an entry and returns its value as well
+  take: (structure, path) => {
+    let taken;
+    const result = updateEntry(structure, path, (folder, key) => {
+      taken = folder[key];
+      return mapEntries(folder, (entryKey, value) => (entryKey === key ? [] : [[entryKey, value]]));
+    });
+    return { structure: result, value: taken };
+  },
+  duplicate: (structure, path) => {
+    const { parentPath, name } = splitPath(path);
+    const copyName = getUniqueName(namesIn(structure, splitKeyPath(parentPath)), name);
+    const result = updateEntry(structure, path, (folder, key) => mapEntries(folder, (entryKey, value) => (
+      entryKey === key ? [[entryKey, value], [renameKey(key, copyName), structuredClone(value)]] : [[entryKey, value]]
+    )));
+    return { structure: result, name: copyName };
+  },
+  setText: (structure, path, text) => updateEntry(structure, path, (folder, key) => {
+    if (isFolderValue(folder[key]) || isSymlinkObject(folder[key])) {
+      throw new TreeEditError(`"${path}" is not a file`);
+    }
+    return { ...folder, [key]: withFileText(folder[key], text) };
+  }),
+  move: (structure, path, folderPath, name) => {
+    checkFree(structure, folderPath, name, ' in the destination');
+    const { structure: without, value } = editFolderForm.take(structure, path);
+    return updateFolder(without, splitKeyPath(folderPath), folder => ({ ...folder, [name]: value }));
+  }
+};
+
+// Manifests -----------------------------------------------------------------
+
+const recordPath = (record) => splitKeyPath(record.path).join('/');
+
+const isWithin = (path, ancestor) => path === ancestor || path.startsWith(`${ancestor}/`);
+
+const manifestChildNames = (records, parentPath) => new Set(records.flatMap((record) => {
+  const path = recordPath(record);
+  if (parentPath && !path.startsWith(`${parentPath}/`)) return [];
+  return [path.slice(parentPath ? parentPath.length + 1 : 0).split('/')[0]];
+}).filter(Boolean));
+
+const requireRecords = (records, path) => {
+  if (!records.some(record => isWithin(recordPath(record), path))) {
+    throw new TreeEditError(`"${path}" was not found`);
+  }
+};
+
+// Moves records from one path to another, keeping trailing slashes
+const rebaseRecord = (record, fromPath, toPath) => {
+  const path = toPath + recordPath(record).slice(fromPath.length);
+  return { ...record, path: record.path.endsWith('/') ? `${path}/` : path };
+};
+
+const editManifest = {
+  add: (records, parentPath, name, value) => {
+    if (manifestChildNames(records, parentPath).has(name)) {
+      throw new TreeEditError(`"${name}" already exists`);
+    }
+    const path = joinPath(parentPath, name);
+    return [...records, isFolderValue(value) ? { path, type: 'folder' } : { path, content: value }];
+  },
+  rename: (records, path, newName) => {
+    requireRecords(records, path);
+    const { parentPath } = splitPath(path);
+    if (manifestChildNames(records, parentPath).has(newName)) {
+      throw new TreeEditError(`"${newName}" already exists`);
+    }
+    const newPath = joinPath(parentPath, newName);
+    return records.map(record => (isWithin(recordPath(record), path) ? rebaseRecord(record, path, newPath) : record));
+  },
+  remove: (records, path) => {
+    requireRecords(records, path);
+    return records.filter(record => !isWithin(recordPath(record), path));
+  },
+  duplicate: (records, path) => {
+    requireRecords(records, path);
+    const { parentPath, name } = splitPath(path);
+    const copyName = getUniqueName(manifestChildNames(records, parentPath), name);
+    const copyPath = joinPath(parentPath, copyName);
+    const copies = records
+      .filter(record => isWithin(recordPath(record), path))
+      .map(record => rebaseRecord(structuredClone(record), path, copyPath));
+    const last = records.findLastIndex(record => isWithin(recordPath(record), path));
+    return { structure: [...records.slice(0, last + 1), ...copies, ...records.slice(last + 1)], name: copyName };
+  },
+  setText: (records, path, text) => {
+    const index = records.findIndex(record => recordPath(record) === path && (record.type === undefined || record.type === 'file'));
+    if (index === -1) {
+      throw new TreeEditError(`File "${path}" was not found`);
+    }
+    return records.map((record, recordIndex) => (
+      recordIndex === index ? { ...record, content: encodeTextContent(text, encodingOf(record)) } : record
+    ));
+  },
+  move: (records, path, folderPath, name) => {
+    requireRecords(records, path);
+    if (manifestChildNames(records, folderPath).has(name)) {
+      throw new TreeEditError(`"${name}" already exists in the destination`);
+    }
+    const newPath = joinPath(folderPath, name);
+    return records.map(record => (isWithin(recordPath(record), path) ? rebaseRecord(record, path, newPath) : record));
+  }
+};
+
+const getEditor = (structure) => {
+  if (isManifest(structure)) return editManifest;
+  if (isFolderValue(structure)) return editFolderForm;
+  throw new TreeEditError('Only structures made of folders or manifests can be edited in the tree');
+};
+
+/**
+ * Adds an empty file or folder
+ * @param {*} structure - Parsed structure data
+ * @param {string} parentPath - Path of the folder to add to, '' for the root
+ * @param {string} name - Name of the new entry
+ * @param {string} type - 'file' or 'folder'
+ * @returns {Object} - Object with the new structure and the path of the new entry
+ * @throws {TreeEditError} - When the name is invalid or taken
+ */
+export const addTreeEntry = (structure, parentPath, name, type) => {
+  checkName(name);
+  return {
+    structure: getEditor(structure).add(structure, parentPath, name, type === 'folder' ? {} : ''),
+    path: joinPath(parentPath, name)
+  };
+};
+
+/**
+ * Renames a file or folder in place
+ * @param {*} structure - Parsed structure data
+ * @param {string} path - Path of the entry
+ * @param {string} newName - New name
+ * @returns {Object} - Object with the new structure and the new path
+ * @throws {TreeEditError} - When the name is invalid or taken
+ */
+export const renameTreeEntry = (structure, path, newName) => {
+  checkName(newName);
+  const { parentPath, name } = splitPath(path);
+  if (name === newName) return { structure, path };
+
+  return {
+    structure: getEditor(structure).rename(structure, path, newName),
+    path: joinPath(parentPath, newName)
+  };
+};
+
+/**
+ * Renames several entries at once, e.g. to apply suggested portable names.
+ * Deeper entries are renamed first so the paths of their parents stay
+ * valid, and a sibling holding the new name of another is renamed before it.
+ * @param {*} structure - Parsed structure data
+ * @param {Map<string, string>} renames - New name by path of the entry
+ * @returns {Object} - Object with the new structure, a null path and the
+ * renames applied as [fromPath, toPath] pairs in the order they were made
+ * @throws {TreeEditError} - When a name is invalid or taken
+ */
+export const renameTreeEntries = (structure, renames) => {
+  const depthOf = (path) => path.split('/').length;
+  const pending = [...renames.keys()].sort((a, b) => depthOf(b) - depthOf(a));
+  const renamed = [];
+  let result = structure;
+
+  while (pending.length > 0) {
+    const depth = depthOf(pending[0]);
+    const blocked = (path) => pending.includes(joinPath(splitPath(path).parentPath, renames.get(path)));
+    const index = pending.findIndex(path => depthOf(path) === depth && !blocked(path));
+    const [path] = pending.splice(Math.max(index, 0), 1);
+    const { structure: next, path: newPath } = renameTreeEntry(result, path, renames.get(path));
+    result = next;
+    renamed.push([path, newPath]);
+  }
+
+  return { structure: result, path: null, renamed };
+};
+
+/**
+ * Deletes a file or folder with everything in it
+ * @param {*} structure - Parsed structure data
+ * @param {string} path - Path of the entry
+ * @returns {Object} - Object with the new structure and a null path
+ */
+export const deleteTreeEntry = (structure, path) => ({
+  structure: getEditor(structure).remove(structure, path),
+  path: null
+});
+
+/**
+ * Copies a file or folder next to itself under a free name
+ * @param {*} structure - Parsed structure data
+ * @param {string} path - Path of the entry
+ * @returns {Object} - Object with the new structure and the path of the copy
+ */
+export const duplicateTreeEntry = (structure, path) => {
+  const { structure: result, name } = getEditor(structure).duplicate(structure, path);
+  return { structure: result, path: joinPath(splitPath(path).parentPath, name) };
+};
+
+/**
+ * Moves a file or folder into another folder, keeping its name
+ * @param {*} structure - Parsed structure data
+ * @param {string} path - Path of the entry
+ * @param {string} folderPath - Path of the destination folder, '' for the root
+ * @returns {Object} - Object with the new structure and the new path
+ * @throws {TreeEditError} - When moving a folder into itself or the name is
+ * taken in the destination
+ */
+export const moveTreeEntry = (structure, path, folderPath) => {
+  const { parentPath, name } = splitPath(path);
+  if (parentPath === folderPath) return { structure, path };
+  if (isWithin(folderPath, path)) {
+    throw new TreeEditError(`Cannot move "${name}" into itself`);
+  }
+
+  return {
+    structure: getEditor(structure).move(structure, path, folderPath, name),
+    path: joinPath(folderPath, name)
+  };
+};
+
+/**
+ * Replaces the content of a file. Strings stay strings and { content } or
+ * { type: "file", data } objects keep their other fields; base64 and hex
+ * files are re-encoded. Quotes and newlines are escaped when the structure
+ * is serialized.
+ * @param {*} structure - Parsed structure data
+ * @param {string} path - Path of the file
+ * @param {string} text - New content
+ * @returns {Object} - Object with the new structure and the file path
+ */
+export const setTreeFileContent = (structure, path, text) => ({
+  structure: getEditor(structure).setText(structure, path, text),
+  path
+});
@@ -0,0 +1,444 @@
+import JSON5 from 'json5';
+import yaml from 'js-yaml';
+import { parseMarkdownBundle } from './markdownBundle';
+
+/**
+ * Input formats accepted by parseStructureInput
+ */
+export const INPUT_FORMATS = {
+  // Picks one of the formats below from the text itself
+  AUTO: 'auto',
+  JSON: 'json',
+  // Lenient mode: JSON5 is a superset of JSONC, so comments, trailing
+  // commas, single quotes and unquoted keys are all accepted
+  JSON5: 'json5',
+  YAML: 'yaml',
+  // Code fences labelled with file paths, parsed into a manifest
+  MARKDOWN: 'markdown'
+};
+
+export const INPUT_FORMAT_OPTIONS = [
+  { value: INPUT_FORMATS.AUTO, label: 'Auto-detect' },
+  { value: INPUT_FORMATS.JSON, label: 'JSON' },
+  { value: INPUT_FORMATS.JSON5, label: 'JSON5 / JSONC' },
+  { value: INPUT_FORMATS.YAML, label: 'YAML' },
+  { value: INPUT_FORMATS.MARKDOWN, label: 'Markdown bundle' }
+];
+
+export const FORMAT_LABELS = {
+  [INPUT_FORMATS.JSON]: 'JSON',
+  [INPUT_FORMATS.JSON5]: 'JSON5',
+  [INPUT_FORMATS.YAML]: 'YAML',
+  [INPUT_FORMATS.MARKDOWN]: 'Markdown'
+};
+
+/**
+ * Error raised when structure input cannot be parsed. Carries the 1-based
+ * line and column of the problem and a short excerpt of the surrounding text.
+ */
+export class StructureParseError extends Error {
+  constructor(reason, { line, column, offset, excerpt, format = INPUT_FORMATS.JSON }) {
+    super(`Invalid ${FORMAT_LABELS[format] || format} at line ${line}, column ${column}: ${reason}`);
+    this.name = 'StructureParseError';
+    this.format = format;
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+    this.offset = offset;
+    this.excerpt = excerpt;
+  }
+}
+
+/**
+ * Converts a character offset into a 1-based line and column
+ * @param {string} text - The source text
+ * @param {number} offset - Character offset into the text
+ * @returns {Object} - Object with line and column
+ */
+export const getLineColumn = (text, offset) => {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  const column = offset - before.lastIndexOf('\n');
+  return { line, column };
+};
+
+/**
+ * Converts a 1-based line and column into a character offset
+ * @param {string} text - The source text
+ * @param {number} line - 1-based line number
+ * @param {number} column - 1-based column number
+ * @returns {number} - Character offset, clamped to the text length
+ */
+export const getOffset = (text, line, column = 1) => {
+  let offset = 0;
+  for (let current = 1; current < line; current++) {
+    const next = text.indexOf('\n', offset);
+    if (next === -1) return text.length;
+    offset = next + 1;
+  }
+  return Math.min(offset + column - 1, text.length);
+};
+
+/**
+ * Builds a short excerpt around a position, marking the column with a caret
+ * @param {string} text - The source text
+ * @param {number} line - 1-based line number
+ * @param {number} column - 1-based column number
+ * @param {number} context - Number of lines to show before the error line
+ * @returns {string} - Excerpt with line numbers
+ */
+export const buildExcerpt = (text, line, column, context = 2) => {
+  const lines = text.split('\n');
+  const first = Math.max(1, line - context);
+  const width = String(line).length;
+  const excerpt = [];
+
+  for (let current = first; current <= line; current++) {
+    let content = (lines[current - 1] || '').replace(/\t/g, ' ');
+    let caretColumn = column;
+
+    // Keep long minified lines readable by centring on the error column
+    if (current === line && content.length > 80 && column > 40) {
+      content = '…' + content.slice(column - 40, column + 40);
+      caretColumn = 41;
+    } else if (content.length > 80) {
+      content = content.slice(0, 80) + '…';
+    }
+
+    excerpt.push(`${String(current).padStart(width)} | ${content}`);
+    if (current === line) {
+      excerpt.push(`${' '.repeat(width)} | ${' '.repeat(Math.max(0, caretColumn - 1))}^`);
+    }
+  }
+
+  return excerpt.join('\n');
+};
+
+/**
+ * Creates a StructureParseError for a character offset
+ * @param {string} text - The source text
+ * @param {number} offset - Character offset of the problem
+ * @param {string} reason - Description of the problem
+ * @param {string} format - One of INPUT_FORMATS
+ * @returns {StructureParseError} - The error
+ */
+export const createParseError = (text, offset, reason, format = INPUT_FORMATS.JSON) => {
+  const { line, column } = getLineColumn(text, offset);
+  return new StructureParseError(reason, {
+    line,
+    column,
+    offset,
+    excerpt: buildExcerpt(text, line, column),
+    format
+  });
+};
+
+const describeToken = (text, offset) => {
+  if (offset >= text.length) return 'end of input';
+  return `'${text[offset]}'`;
+};
+
+/**
+ * Scans strict JSON and reports the first syntax error. JSON.parse messages
+ * differ between browsers and often omit the position, so the location is
+ * determined here instead.
+ * @param {string} text - The JSON text
+ * @returns {Object|null} - Object with offset and reason, or null if valid
+ */
+export const findJsonSyntaxError = (text) => {
+  let i = 0;
+
+  const fail = (reason, offset = i) => {
+    throw { offset, reason };
+  };
+
+  const skipWhitespace = () => {
+    while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+  };
+
+  const expectLiteral = (literal) => {
+    for (let k = 0; k < literal.length; k++) {
+      if (text[i + k] !== literal[k]) fail(`Unexpected ${describeToken(text, i + k)}, expected '${literal}'`, i + k);
+    }
+    i += literal.length;
+  };
+
+  const parseString = () => {
+    const start = i;
+    i++;
+    while (i < text.length) {
+      const char = text[i];
+      if (char === '"') {
+        i++;
+        return;
+      }
+      if (char === '\\') {
+        const escape = text[i + 1];
+        if (escape === 'u') {
+          if (!/^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) fail('Invalid unicode escape sequence');
+          i += 6;
+        } else if (escape !== undefined && '"\\/bfnrt'.includes(escape)) {
+          i += 2;
+        } else {
+          fail(`Invalid escape sequence '\\${escape || ''}'`);
+        }
+      } else if (char < ' ') {
+        fail(char === '\n' ? 'Unescaped line break in string (use \\n)' : 'Unescaped control character in string');
+      } else {
+        i++;
+      }
+    }
+    fail('Unterminated string', start);
+  };
+
+  const parseNumber = () => {
+    const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(i, i + 400));
+    if (!match || match[0] === '-') fail(`Invalid number`);
+    i += match[0].length;
+    if (/[0-9.eE]/.test(text[i] || '')) fail('Invalid number');
+  };
+
+  // Closing brackets of the objects and arrays being read, innermost last.
+  // Nesting is tracked here rather than by recursion, so deeply nested input
+  // cannot overflow the call stack.
+  const stack = [];
+
+  const parseKey = () => {
+    skipWhitespace();
+    if (text[i] !== '"') fail(`Unexpected ${describeToken(text, i)}, expected a property name in double quotes`);
+    parseString();
+    skipWhitespace();
+    if (text[i] !== ':') fail(`Unexpected ${describeToken(text, i)}, expected ':' after property name`);
+    i++;
+  };
+
+  // Reads a value, or opens an object or array; returns whether a value
+  // has to follow, i.e. a non-empty object or array was opened
+  const parseValue = () => {
+    skipWhitespace();
+    const char = text[i];
+
+    if (char === '{' || char === '[') {
+      const close = char === '{' ? '}' : ']';
+      i++;
+      skipWhitespace();
+      if (text[i] === close) {
+        i++;
+        return false;
+      }
+      stack.push(close);
+      if (close === '}') parseKey();
+      return true;
+    }
+    if (char === '"') return parseString();
+    if (char === 't') return expectLiteral('true');
+    if (char === 'f') return expectLiteral('false');
+    if (char === 'n') return expectLiteral('null');
+    if (char === '-' || (char >= '0' && char <= '9')) return parseNumber();
+    if (char === "'") fail('Strings must use double quotes');
+    fail(`Unexpected ${describeToken(text, i)}, expected a value`);
+  };
+
+  // Reads what follows a value in the innermost object or array; returns
+  // whether another value has to follow
+  const parseAfterValue = () => {
+    const close = stack[stack.length - 1];
+    skipWhitespace();
+    if (text[i] === ',') {
+      const commaOffset = i++;
+      skipWhitespace();
+      if (text[i] === close) fail('Trailing comma is not allowed', commaOffset);
+      if (close === '}') parseKey();
+      return true;
+    }
+    if (text[i] === close) {
+      i++;
+      stack.pop();
+      return false;
+    }
+    fail(close === '}'
+      ? `Unexpected ${describeToken(text, i)}, expected ',' or '}' after property value`
+      : `Unexpected ${describeToken(text, i)}, expected ',' or ']' after array element`);
+  };
+
+  try {
+    let expectsValue = parseValue();
+    while (stack.length > 0) {
+      expectsValue = expectsValue ? parseValue() : parseAfterValue();
+    }
+    skipWhitespace();
+    if (i < text.length) fail(`Unexpected ${describeToken(text, i)} after the end of the document`);
+    return null;
+  } catch (error) {
+    if (error instanceof Error) throw error;
+    return error;
+  }
+};
+
+const parseJson5 = (text) => {
+  try {
+    return JSON5.parse(text);
+  } catch (error) {
+    if (typeof error.lineNumber !== 'number') throw error;
+
+    const reason = error.message
+      .replace(/^JSON5: /, '')
+      .replace(/ at \d+:\d+$/, '')
+      .replace(/^invalid character/, 'Unexpected')
+      .replace(/^invalid end of input/, 'Unexpected end of input')
+      .replace(/^invalid/, 'Invalid');
+    throw createParseError(text, getOffset(text, error.lineNumber, error.columnNumber), reason, INPUT_FORMATS.JSON5);
+  }
+};
+
+const parseYaml = (text) => {
+  try {
+    // The core schema keeps dates and other YAML-only types as plain strings
+    return yaml.load(text, { schema: yaml.CORE_SCHEMA });
+  } catch (error) {
+    if (!error.mark) throw error;
+    throw createParseError(text, error.mark.position, error.reason, INPUT_FORMATS.YAML);
+  }
+};
+
+// Whether text parses as YAML into an object of keys
+const isYamlMapping = (text) => {
+  try {
+    const data = yaml.load(text, { schema: yaml.CORE_SCHEMA });
+    return data !== null && typeof data === 'object' && !Array.isArray(data);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Guesses the format of structure input text. Documents starting with a
+ * brace, bracket or comment are JSON (JSON5 when strict JSON rejects them
+ * but JSON5 accepts them), documents with code fences are Markdown unless
+ * they read as a YAML mapping (fences inside block scalars, e.g. a README
+ * under "README.md: |"), and everything else is YAML.
+ * @param {string} text - The text entered by the user
+ * @returns {string} - One of INPUT_FORMATS except AUTO
+ */
+export const detectInputFormat = (text) => {
+  const trimmed = text.trimStart();
+
+  if (/^(\/\/|\/\*)/.test(trimmed)) {
+    return INPUT_FORMATS.JSON5;
+  }
+
+  if (/^[{[]/.test(trimmed)) {
+    try {
+      JSON.parse(text);
+      return INPUT_FORMATS.JSON;
+    } catch {
+      try {
+        JSON5.parse(text);
+        return INPUT_FORMATS.JSON5;
+      } catch {
+        return INPUT_FORMATS.JSON;
+      }
+    }
+  }
+
+  if (/^ {0,3}(```|~~~)/m.test(text) && !isYamlMapping(text)) {
+    return INPUT_FORMATS.MARKDOWN;
+  }
+
+  return INPUT_FORMATS.YAML;
+};
+
+/**
+ * Serializes parsed structure data back into text
+ * @param {*} data - Parsed structure data
+ * @param {string} format - One of INPUT_FORMATS except AUTO
+ * @param {Object} options - Formatting options
+ * @param {string|number} options.indent - Indentation per level, spaces or a tab
+ * @returns {string} - Formatted text
+ */
+export const serializeStructure = (data, format = INPUT_FORMATS.JSON, { indent = 2 } = {}) => {
+  if (format === INPUT_FORMATS.MARKDOWN) {
+    throw new Error('Structures cannot be written back as Markdown');
+  }
+  if (format === INPUT_FORMATS.YAML) {
+    // lineWidth -1 keeps long strings on one line; multi-line strings become block scalars
+    return yaml.dump(data, { lineWidth: -1, noRefs: true, indent: typeof indent === 'number' ? indent : 2 });
+  }
+  if (format === INPUT_FORMATS.JSON5) {
+    return JSON5.stringify(data, null, indent);
+  }
+  return JSON.stringify(data, null, indent);
+};
+
+/**
+ * Guesses the indentation used in structure text from its first indented
+ * line
+ * @param {string} text - Structure text
+ * @returns {string|number} - '\t' for tabs, otherwise the number of spaces
+ */
+export const detectIndentation = (text) => {
+  const match = /^(\t|[ ]+)\S/m.exec(text);
+  if (!match) return 2;
+  return match[1] === '\t' ? '\t' : Math.min(match[1].length, 8);
+};
+
+/**
+ * Serializes edited structure data in the format and indentation of the
+ * text it was parsed from. Comments and quoting style cannot be kept, but
+ * key order, indentation and a trailing newline are. Markdown bundles are
+ * rewritten as JSON.
+ * @param {*} data - Edited structure data
+ * @param {string} previousText - The text the structure was parsed from
+ * @param {string} format - Format of that text, one of INPUT_FORMATS
+ * @returns {string} - Formatted text
+ */
+export const reserializeStructure = (data, previousText, format) => {
+  const textFormat = format === INPUT_FORMATS.AUTO ? detectInputFormat(previousText) : format;
+  const text = textFormat === INPUT_FORMATS.MARKDOWN
+    ? serializeStructure(data, INPUT_FORMATS.JSON)
+    : serializeStructure(data, textFormat, { indent: detectIndentation(previousText) });
+  const withoutNewline = text.replace(/\n$/, '');
+  return previousText.endsWith('\n') ? `${withoutNewline}\n` : withoutNewline;
+};
+
+/**
+ * Parses structure input text
+ * @param {string} text - The text entered by the user
+ * @param {Object} options - Parse options
+ * @param {string} options.format - One of INPUT_FORMATS
+ * @returns {*} - Parsed data
+ * @throws {StructureParseError} - When the text is not valid
+ */
+export const parseStructureInput = (text, { format = INPUT_FORMATS.JSON } = {}) => {
+  if (format === INPUT_FORMATS.AUTO) {
+    return parseStructureInput(text, { format: detectInputFormat(text) });
+  }
+
+  if (format === INPUT_FORMATS.JSON5) {
+    return parseJson5(text);
+  }
+
+  if (format === INPUT_FORMATS.YAML) {
+    return parseYaml(text);
+  }
+
+  if (format === INPUT_FORMATS.MARKDOWN) {
+    const { records } = parseMarkdownBundle(text);
+    if (records.length === 0) {
+      throw new Error('No code blocks with a file path were found in the Markdown document');
+    }
+    return records;
+  }
+
+  if (format !== INPUT_FORMATS.JSON) {
+    throw new Error(`Unknown input format "${format}"`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const syntaxError = findJsonSyntaxError(text);
+    if (!syntaxError) throw error;
+    throw createParseError(text, syntaxError.offset, syntaxError.reason);
+  }
+};
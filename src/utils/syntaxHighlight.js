@@ -0,0 +1,179 @@
+/**
+ * A small regex based highlighter for the file viewer. Each language is a
+ * list of token rules tried in order at every position; identifiers that
+ * appear in the keyword list become keywords. It does not parse, so the
+ * colouring is approximate, but it handles comments and strings spanning
+ * several lines.
+ */
+
+const C_STYLE_COMMENTS = [
+  ['comment', /\/\/[^\n]*/],
+  ['comment', /\/\*[\s\S]*?(?:\*\/|$)/]
+];
+const HASH_COMMENT = ['comment', /#[^\n]*/];
+const DOUBLE_QUOTED = ['string', /"(?:[^"\\\n]|\\.)*"?/];
+const SINGLE_QUOTED = ['string', /'(?:[^'\\\n]|\\.)*'?/];
+const NUMBER = ['number', /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/];
+const IDENTIFIER = ['identifier', /[A-Za-z_$][\w$]*/];
+
+const words = (list) => new Set(list.split(' '));
+
+const JS_KEYWORDS = words('async await break case catch class const continue debugger default delete do else enum export extends false finally for from function get if implements import in instanceof interface let new null of package private protected public return set static super switch this throw true try type typeof undefined var void while with yield as readonly declare namespace abstract keyof');
+
+const LANGUAGES = {
+  javascript: {
+    keywords: JS_KEYWORDS,
+    rules: [...C_STYLE_COMMENTS, ['string', /`(?:[^`\\]|\\[\s\S])*`?/], DOUBLE_QUOTED, SINGLE_QUOTED, NUMBER, IDENTIFIER]
+  },
+  json: {
+    keywords: words('true false null'),
+    rules: [...C_STYLE_COMMENTS, ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/], DOUBLE_QUOTED, NUMBER, IDENTIFIER]
+  },
+  python: {
+    keywords: words('and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield self match case'),
+    rules: [HASH_COMMENT, ['string', /"""[\s\S]*?(?:"""|$)/], ['string', /'''[\s\S]*?(?:'''|$)/], DOUBLE_QUOTED, SINGLE_QUOTED, NUMBER, ['keyword', /@[\w.]+/], IDENTIFIER]
+  },
+  shell: {
+    keywords: words('if then else elif fi for while until do done case esac in function return export local readonly echo exit set unset source'),
+    rules: [HASH_COMMENT, DOUBLE_QUOTED, SINGLE_QUOTED, ['property', /\$\{[^}\n]*\}|\$[\w@#?*!$-]/], NUMBER, IDENTIFIER]
+  },
+  yaml: {
+    keywords: words('true false null yes no on off'),
+    rules: [HASH_COMMENT, ['property', /[\w.-]+(?=\s*:(?:\s|$))/], DOUBLE_QUOTED, SINGLE_QUOTED, NUMBER, IDENTIFIER]
+  },
+  css: {
+    keywords: words('important media import supports keyframes font-face from to'),
+    rules: [['comment', /\/\*[\s\S]*?(?:\*\/|$)/], DOUBLE_QUOTED, SINGLE_QUOTED, ['property', /[\w-]+(?=\s*:[^{};]*;)/], ['number', /#[\da-fA-F]{3,8}\b|\b\d+(?:\.\d+)?(?:px|em|rem|%|vh|vw|s|ms|deg)?\b/], ['identifier', /[\w-]+/]]
+  },
+  markup: {
+    keywords: new Set(),
+    rules: [['comment', /<!--[\s\S]*?(?:-->|$)/], ['tag', /<\/?[\w:-]+|\/?>/], ['property', /[\w:-]+(?==)/], DOUBLE_QUOTED, SINGLE_QUOTED]
+  },
+  clike: {
+    keywords: words('auto bool break case catch char class const continue default defer delete do double else enum extern false final finally float fn for func go if impl import int interface let long match mod mut namespace new nil null package private protected pub public return self short signed sizeof static struct super switch this throw true try type typedef union unsigned use var void volatile where while'),
+    rules: [...C_STYLE_COMMENTS, DOUBLE_QUOTED, ['string', /'(?:[^'\\\n]|\\.){0,4}'/], ['string', /`[^`]*`?/], NUMBER, ['keyword', /#\s*\w+/], IDENTIFIER]
+  }
+};
+
+const EXTENSION_LANGUAGES = {
+  javascript: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts'],
+  json: ['json', 'jsonc', 'json5', 'map', 'webmanifest'],
+  python: ['py', 'pyw', 'pyi'],
+  shell: ['sh', 'bash', 'zsh', 'fish', 'env', 'toml', 'ini', 'cfg', 'conf', 'properties'],
+  yaml: ['yml', 'yaml'],
+  css: ['css', 'scss', 'sass', 'less'],
+  markup: ['html', 'htm', 'xml', 'svg', 'vue', 'svelte', 'xhtml', 'plist'],
+  clike: ['c', 'h', 'cc', 'cpp', 'cxx', 'hpp', 'cs', 'java', 'kt', 'kts', 'go', 'rs', 'swift', 'dart', 'scala', 'php', 'rb', 'lua', 'sql', 'gradle']
+};
+
+const LANGUAGE_BY_EXTENSION = new Map(
+  Object.entries(EXTENSION_LANGUAGES).flatMap(([language, extensions]) => extensions.map(ext => [ext, language]))
+);
+
+const LANGUAGE_BY_FILENAME = new Map([
+  ['Dockerfile', 'shell'], ['Makefile', 'shell'], ['Procfile', 'shell'], ['.gitignore', 'shell'],
+  ['.npmrc', 'shell'], ['.editorconfig', 'shell'], ['Gemfile', 'clike'], ['Rakefile', 'clike']
+]);
+
+// Larger files are shown as plain text, highlighting them would stall the UI
+export const MAX_HIGHLIGHT_LENGTH = 200000;
+
+/**
+ * Picks a highlighting language from a file name
+ * @param {string} filename - File name or path
+ * @returns {string|null} - Language key or null for plain text
+ */
+export const detectLanguage = (filename) => {
+  const name = filename.split('/').pop();
+  if (LANGUAGE_BY_FILENAME.has(name)) return LANGUAGE_BY_FILENAME.get(name);
+
+  const dot = name.lastIndexOf('.');
+  if (dot === -1) return null;
+  return LANGUAGE_BY_EXTENSION.get(name.slice(dot + 1).toLowerCase()) || null;
+};
+
+// Number of capture groups inside a regex
+const countGroups = (regex) => new RegExp(`${regex.source}|`).exec('').length - 1;
+
+// Combines a language's rules into one sticky regex with a group per rule
+const compiledLanguages = new Map();
+const compileLanguage = (language) => {
+  if (!compiledLanguages.has(language)) {
+    const { rules, keywords } = LANGUAGES[language];
+    const groups = [];
+    let nextGroup = 1;
+    rules.forEach(([, regex]) => {
+      groups.push(nextGroup);
+      nextGroup += 1 + countGroups(regex);
+    });
+
+    compiledLanguages.set(language, {
+      pattern: new RegExp(rules.map(([, regex]) => `(${regex.source})`).join('|'), 'y'),
+      types: rules.map(([type]) => type),
+      groups,
+      keywords
+    });
+  }
+  return compiledLanguages.get(language);
+};
+
+const tokenize = (text, language) => {
+  const { pattern, types, groups, keywords } = compileLanguage(language);
+  const tokens = [];
+  let plainStart = 0;
+  let position = 0;
+
+  const pushPlain = (end) => {
+    if (end > plainStart) tokens.push({ type: null, text: text.slice(plainStart, end) });
+  };
+
+  while (position < text.length) {
+    pattern.lastIndex = position;
+    const match = pattern.exec(text);
+    if (!match || match[0].length === 0) {
+      position++;
+      continue;
+    }
+
+    const rule = groups.findIndex(group => match[group] !== undefined);
+    let type = types[rule];
+    if (type === 'identifier') {
+      type = keywords.has(match[0]) ? 'keyword' : null;
+    }
+
+    if (type) {
+      pushPlain(position);
+      tokens.push({ type, text: match[0] });
+      plainStart = position + match[0].length;
+    }
+    position += match[0].length;
+  }
+  pushPlain(text.length);
+
+  return tokens;
+};
+
+/**
+ * Splits text into lines of highlighted tokens. Tokens spanning several
+ * lines are cut at the line breaks so every line can be rendered on its own.
+ * @param {string} text - File content
+ * @param {string|null} language - Language from detectLanguage, null for plain text
+ * @returns {Array<Array<Object>>} - Lines of { type, text } tokens; type is
+ * null for plain text, otherwise 'comment', 'string', 'number', 'keyword',
+ * 'property' or 'tag'
+ */
+export const highlightLines = (text, language) => {
+  const tokens = language && LANGUAGES[language] && text.length <= MAX_HIGHLIGHT_LENGTH
+    ? tokenize(text, language)
+    : [{ type: null, text }];
+  const lines = [[]];
+
+  tokens.forEach(({ type, text: tokenText }) => {
+    tokenText.split('\n').forEach((part, index) => {
+      if (index > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ type, text: part });
+    });
+  });
+
+  return lines;
+};
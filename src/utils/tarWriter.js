@@ -0,0 +1,272 @@
+import pako from 'pako';
+import { getFileData, REPRODUCIBLE_DATE, sortTree, walkTree } from './conversionEngine';
+import { DEFAULT_FILE_MODE, DEFAULT_FOLDER_MODE } from './fileMetadata';
+import { assertSafeTree } from './pathSafety';
+
+/**
+ * Writers for POSIX tar archives (ustar with pax headers for long names),
+ * gzip compressed tarballs and single gzip compressed files. They consume
+ * the same file trees as the ZIP writers.
+ */
+
+const BLOCK_SIZE = 512;
+
+const TYPE_FILE = '0';
+const TYPE_SYMLINK = '2';
+const TYPE_FOLDER = '5';
+const TYPE_PAX_HEADER = 'x';
+
+const encoder = new TextEncoder();
+
+const joinPath = (basePath, name) => (basePath ? `${basePath}/${name}` : name);
+
+const writeString = (header, offset, length, value) => {
+  header.set(encoder.encode(value).subarray(0, length), offset);
+};
+
+// Numeric fields are zero padded octal followed by a NUL
+const writeOctal = (header, offset, length, value) => {
+  writeString(header, offset, length, Math.floor(value).toString(8).padStart(length - 1, '0'));
+};
+
+/**
+ * Splits a path into the ustar prefix and name fields
+ * @returns {Object|null} - Object with prefix and name, or null if the path
+ * needs a pax header
+ */
+const splitUstarPath = (path) => {
+  const bytes = encoder.encode(path);
+  if (bytes.length <= 100) return { prefix: '', name: path };
+
+  for (let index = path.indexOf('/'); index !== -1; index = path.indexOf('/', index + 1)) {
+    const prefix = path.slice(0, index);
+    const name = path.slice(index + 1);
+    if (encoder.encode(prefix).length <= 155 && encoder.encode(name).length <= 100) {
+      return { prefix, name };
+    }
+  }
+  return null;
+};
+
+const createHeader = ({ path, type, size, mode, mtime, linkTarget = '' }) => {
+  const header = new Uint8Array(BLOCK_SIZE);
+  const { prefix, name } = splitUstarPath(path) || { prefix: '', name: path };
+
+  writeString(header, 0, 100, name);
+  writeOctal(header, 100, 8, mode);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, mtime.getTime() / 1000);
+  writeString(header, 156, 1, type);
+  writeString(header, 157, 100, linkTarget);
+  writeString(header, 257, 8, 'ustar\u000000');
+  writeString(header, 345, 155, prefix);
+
+  // The checksum is computed with the checksum field itself set to spaces
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeString(header, 148, 8, `${checksum.toString(8).padStart(6, '0')}\u0000 `);
+
+  return header;
+};
+
+// A pax record is "<length> <key>=<value>\n" where length counts itself
+const createPaxRecord = (key, value) => {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = encoder.encode(body).length;
+  let length = bodyLength + 1;
+  while (String(length).length + bodyLength !== length) {
+    length++;
+  }
+  return `${length}${body}`;
+};
+
+const padToBlock = (size) => (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+
+/**
+ * Writes a file tree into a tar archive. Modes and mtimes of file nodes are
+ * kept; other entries get 644/755 and the time the archive is created.
+ * Symlink nodes become symbolic link entries.
+ * Trees with unsafe names are rejected with an UnsafePathError.
+ * @param {Object} tree - Root folder node
+ * @param {Object} options - Archive options
+ * @param {string} options.rootFolder - Folder to wrap every entry in, '' for none
+ * @param {Date} options.date - Modification time for entries without one
+ * @param {Function} options.onProgress - Called with { percent, currentFile }
+ * as each entry is written
+ * @returns {Uint8Array} - The tar archive
+ */
+export const createTarArchive = (tree, { rootFolder = '', date = new Date(), onProgress = null } = {}) => {
+  assertSafeTree(tree, { rootFolder });
+
+  const chunks = [];
+  let totalSize = 0;
+  let entryCount = 0;
+  let writtenCount = 0;
+  walkTree(tree, () => entryCount++);
+
+  const push = (chunk) => {
+    chunks.push(chunk);
+    totalSize += chunk.length;
+  };
+
+  const addEntry = (entry, data = null) => {
+    const longPath = !splitUstarPath(entry.path);
+    const longTarget = Boolean(entry.linkTarget) && encoder.encode(entry.linkTarget).length > 100;
+
+    if (longPath || longTarget) {
+      const pax = encoder.encode(
+        (longPath ? createPaxRecord('path', entry.path) : '') +
+        (longTarget ? createPaxRecord('linkpath', entry.linkTarget) : '')
+      );
+      push(createHeader({
+        path: `PaxHeader/${entry.path.split('/').pop()}`.slice(0, 100),
+        type: TYPE_PAX_HEADER,
+        size: pax.length,
+        mode: 0o644,
+        mtime: entry.mtime
+      }));
+      push(pax);
+      push(new Uint8Array(padToBlock(pax.length)));
+    }
+
+    push(createHeader(entry));
+    if (data) {
+      push(data);
+      push(new Uint8Array(padToBlock(data.length)));
+    }
+  };
+
+  const reportProgress = (path) => {
+    writtenCount++;
+    if (onProgress) {
+      onProgress({ percent: (writtenCount / entryCount) * 100, currentFile: path });
+    }
+  };
+
+  const addNode = (node, basePath) => {
+    const path = joinPath(basePath, node.name);
+    const mode = typeof node.mode === 'number' ? node.mode : null;
+
+    if (node.type === 'folder') {
+      addEntry({ path: `${path}/`, type: TYPE_FOLDER, size: 0, mode: mode ?? DEFAULT_FOLDER_MODE, mtime: date });
+      reportProgress(path);
+      (node.children || []).forEach(child => addNode(child, path));
+      return;
+    }
+
+    if (node.error) {
+      throw new Error(`${path}: ${node.error}`);
+    }
+
+    if (node.type === 'symlink') {
+      addEntry({ path, type: TYPE_SYMLINK, size: 0, mode: 0o777, mtime: date, linkTarget: node.target });
+      reportProgress(path);
+      return;
+    }
+
+    const data = getFileData({ ...node, path });
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    addEntry({
+      path,
+      type: TYPE_FILE,
+      size: bytes.length,
+      mode: mode ?? DEFAULT_FILE_MODE,
+      mtime: node.mtime || date
+    }, bytes);
+    reportProgress(path);
+  };
+
+  if (rootFolder) {
+    addEntry({ path: `${rootFolder}/`, type: TYPE_FOLDER, size: 0, mode: DEFAULT_FOLDER_MODE, mtime: date });
+  }
+  (tree.children || []).forEach(child => addNode(child, rootFolder));
+
+  // Two empty blocks mark the end of the archive
+  push(new Uint8Array(BLOCK_SIZE * 2));
+
+  const archive = new Uint8Array(totalSize);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    archive.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return archive;
+};
+
+/**
+ * Writes a file tree into a tar archive, optionally gzip compressed
+ * @param {Object} tree - Root folder node
+ * @param {Object} options - Archive options
+ * @param {boolean} options.gzip - Compress the archive (.tar.gz)
+ * @param {number} options.compressionLevel - Gzip level from 1 (fastest) to 9 (smallest)
+ * @param {string} options.rootFolder - Folder to wrap every entry in, '' for none
+ * @param {boolean} options.reproducible - Sort entries and use REPRODUCIBLE_DATE
+ * so the same tree and options always give the same bytes
+ * @param {Function} options.onProgress - Called with { percent, currentFile }
+ * as each entry is written
+ * @returns {Promise<Blob>} - The archive as blob
+ */
+export const generateTarFromTree = async (tree, {
+  gzip = false,
+  compressionLevel = 6,
+  rootFolder = '',
+  reproducible = false,
+  onProgress = null
+} = {}) => {
+  const date = reproducible ? REPRODUCIBLE_DATE : new Date();
+  const archive = createTarArchive(reproducible ? sortTree(tree) : tree, { rootFolder, date, onProgress });
+
+  if (!gzip) {
+    return new Blob([archive], { type: 'application/x-tar' });
+  }
+
+  const compressed = pako.gzip(archive, {
+    level: compressionLevel,
+    header: { time: Math.floor(date.getTime() / 1000) }
+  });
+  return new Blob([compressed], { type: 'application/gzip' });
+};
+
+/**
+ * Checks whether a tree holds exactly one file, the only shape a plain .gz
+ * file can represent
+ * @param {Object} tree - Root folder node
+ * @returns {boolean} - True if the tree can be written as a single .gz file
+ */
+export const isSingleFileTree = (tree) => (
+  Boolean(tree) && tree.children.length === 1 && tree.children[0].type === 'file'
+);
+
+/**
+ * Compresses the only file of a single-file tree into a gzip file that
+ * remembers the original name and mtime
+ * @param {Object} tree - Root folder node with a single file
+ * @param {Object} options - Compression options
+ * @param {number} options.compressionLevel - Gzip level from 1 (fastest) to 9 (smallest)
+ * @param {boolean} options.reproducible - Use REPRODUCIBLE_DATE when the file has no mtime
+ * @returns {Promise<Blob>} - The .gz file as blob
+ */
+export const generateGzipFromTree = async (tree, { compressionLevel = 6, reproducible = false } = {}) => {
+  if (!isSingleFileTree(tree)) {
+    throw new Error('A .gz file can only hold a single file; choose .tar.gz for folders');
+  }
+
+  assertSafeTree(tree);
+  const [node] = tree.children;
+  if (node.error) {
+    throw new Error(`${node.name}: ${node.error}`);
+  }
+
+  const data = getFileData(node);
+  const compressed = pako.gzip(typeof data === 'string' ? encoder.encode(data) : data, {
+    level: compressionLevel,
+    header: {
+      time: Math.floor((node.mtime || (reproducible ? REPRODUCIBLE_DATE : new Date())).getTime() / 1000),
+      // The header stores Latin-1, so only ASCII names survive unchanged
+      ...(/^[\x20-\x7e]+$/.test(node.name) && { name: node.name })
+    }
+  });
+  return new Blob([compressed], { type: 'application/gzip' });
+};
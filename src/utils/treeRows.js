@@ -0,0 +1,73 @@
+/**
+ * Flattens a file tree into the rows a tree view shows, in display order.
+ * Folders list their children only when expanded; passing null for
+ * expandedPaths treats every folder as expanded. The walk is iterative so
+ * deep trees cannot overflow the stack.
+ * @param {Array} nodes - Top-level nodes of the tree
+ * @param {Set<string>|null} expandedPaths - Paths of the expanded folders
+ * @returns {Array} - Rows of { node, level, isExpanded }
+ */
+export const flattenTree = (nodes, expandedPaths) => {
+  const rows = [];
+  const stack = [{ nodes, index: 0, level: 0 }];
+
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    if (frame.index >= frame.nodes.length) {
+      stack.pop();
+      continue;
+    }
+
+    const node = frame.nodes[frame.index++];
+    const hasChildren = node.type === 'folder' && node.children?.length > 0;
+    const isExpanded = node.type === 'folder' && (expandedPaths === null || expandedPaths.has(node.path));
+    rows.push({ node, level: frame.level, isExpanded });
+
+    if (hasChildren && isExpanded) {
+      stack.push({ nodes: node.children, index: 0, level: frame.level + 1 });
+    }
+  }
+
+  return rows;
+};
+
+/**
+ * Collects the paths of every folder that has children, e.g. to expand the
+ * whole tree at once
+ * @param {Array} nodes - Top-level nodes of the tree
+ * @returns {Set<string>} - Folder paths
+ */
+export const collectFolderPaths = (nodes) => {
+  const paths = new Set();
+  const stack = [...nodes];
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.type === 'folder' && node.children?.length > 0) {
+      paths.add(node.path);
+      stack.push(...node.children);
+    }
+  }
+
+  return paths;
+};
+
+/**
+ * Finds the node with a given path, only descending into folders whose path
+ * is a prefix of it
+ * @param {Object} tree - Root folder node
+ * @param {string} path - Slash separated path relative to the root
+ * @returns {Object|null} - The node, or null if nothing is at that path
+ */
+export const findNodeByPath = (tree, path) => {
+  let nodes = tree.children;
+
+  while (nodes) {
+    const node = nodes.find(child => child.path === path || (
+      child.type === 'folder' && path.startsWith(`${child.path}/`)
+    ));
+    if (!node || node.path === path) return node || null;
+    nodes = node.children;
+  }
+  return null;
+};
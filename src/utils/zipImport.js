@@ -0,0 +1,157 @@
+import JSZip from 'jszip';
+import { verifyChecksums } from './checksums';
+import { isSymlinkObject } from './conversionEngine';
+import { bytesToBase64, isFileObject } from './encodingUtils';
+import { DEFAULT_FILE_MODE, formatFileMode } from './fileMetadata';
+
+// Entries written by archivers that carry no user content
+const IGNORED_ENTRY_PATTERNS = [/^__MACOSX\//, /(^|\/)\.DS_Store$/];
+
+// File type bits of a Unix mode
+const FILE_TYPE_MASK = 0o170000;
+const REGULAR_FILE_TYPE = 0o100000;
+const SYMLINK_TYPE = 0o120000;
+
+/**
+ * Decodes bytes as UTF-8 text, rejecting anything that looks binary
+ * @param {Uint8Array} bytes - Raw file bytes
+ * @returns {string|null} - Decoded text or null if the bytes are not text
+ */
+export const decodeTextContent = (bytes) => {
+  if (bytes.includes(0)) {
+    return null;
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Checks whether a path segment can't be a key of the nested structure:
+ * assigning "__proto__" replaces the object's prototype instead of adding an
+ * entry
+ * @param {string} segment - File or folder name
+ * @returns {boolean} - Whether the name is reserved
+ */
+export const isReservedSegment = (segment) => segment === '__proto__';
+
+// Own keys only, so names like "constructor" don't hit Object.prototype
+const hasEntry = (folder, name) => Object.prototype.hasOwnProperty.call(folder, name);
+
+// Files and symlinks are objects too, folders are the remaining ones
+const isFolderEntry = (value) => typeof value === 'object' && !isFileObject(value) && !isSymlinkObject(value);
+
+/**
+ * Normalizes a ZIP entry name into path segments
+ * @param {string} entryName - Entry name as stored in the archive
+ * @returns {string[]} - Path segments without empty or "." parts
+ */
+const splitEntryPath = (entryName) => {
+  return entryName
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment && segment !== '.');
+};
+
+/**
+ * Reads a ZIP archive and converts it into the nested JSON structure
+ * accepted by the converter: folders become objects, text files strings
+ * and binary files base64 encoded file objects. Entries with Unix
+ * attributes keep them: symlinks become { type: "symlink", target } and
+ * files with other permissions than DEFAULT_FILE_MODE get a mode, so
+ * exported archives import as they were. Archives containing a SHA256SUMS
+ * or manifest.json checksum list are verified against it.
+ * @param {Blob|ArrayBuffer|Uint8Array} archive - The ZIP archive to read
+ * @returns {Promise<Object>} - Object with structure, skipped entries and the
+ * checksum verification (null when the archive has no checksum list)
+ */
+export const convertZipToStructure = async (archive) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(archive);
+  } catch (error) {
+    throw new Error('Failed to read ZIP file: ' + error.message);
+  }
+
+  const structure = {};
+  const skipped = [];
+  const skippedPaths = new Set();
+  const contents = new Map();
+
+  const skip = (entry, reason) => {
+    skipped.push({ path: entry.name, reason });
+    skippedPaths.add(splitEntryPath(entry.name).join('/'));
+  };
+
+  const entries = Object.values(zip.files)
+    .filter(entry => !IGNORED_ENTRY_PATTERNS.some(pattern => pattern.test(entry.name)));
+
+  for (const entry of entries) {
+    const segments = splitEntryPath(entry.name);
+    if (segments.length === 0) continue;
+
+    if (segments.some(isReservedSegment)) {
+      skip(entry, 'Contains the reserved name "__proto__"');
+      continue;
+    }
+
+    const fileName = entry.dir ? null : segments.pop();
+    let folder = structure;
+    let conflict = false;
+
+    for (const segment of segments) {
+      if (!hasEntry(folder, segment)) {
+        folder[segment] = {};
+      } else if (!isFolderEntry(folder[segment])) {
+        conflict = true;
+        break;
+      }
+      folder = folder[segment];
+    }
+
+    if (conflict) {
+      skip(entry, 'Path conflicts with an existing file');
+      continue;
+    }
+
+    if (fileName === null) continue;
+
+    if (hasEntry(folder, fileName)) {
+      skip(entry, isFolderEntry(folder[fileName]) ? 'Path conflicts with an existing folder' : 'Duplicate entry');
+      continue;
+    }
+
+    const bytes = await entry.async('uint8array');
+    const text = decodeTextContent(bytes);
+    // Archives made on other systems carry no Unix attributes
+    const permissions = typeof entry.unixPermissions === 'number' ? entry.unixPermissions : null;
+    const fileType = permissions === null ? null : permissions & FILE_TYPE_MASK;
+
+    if (fileType === SYMLINK_TYPE) {
+      if (text === null) {
+        skip(entry, 'Symlink target is not text');
+      } else {
+        folder[fileName] = { type: 'symlink', target: text };
+      }
+      continue;
+    }
+
+    // Some archivers store no file type; with no permission bits either,
+    // the entry records no mode at all
+    const bits = permissions === null ? 0 : permissions & 0o7777;
+    const mode = fileType === REGULAR_FILE_TYPE || (fileType === 0 && bits !== 0) ? bits : null;
+    const metadata = mode !== null && mode !== DEFAULT_FILE_MODE ? { mode: formatFileMode(mode) } : null;
+    contents.set([...segments, fileName].join('/'), bytes);
+
+    if (text === null) {
+      folder[fileName] = { content: bytesToBase64(bytes), encoding: 'base64', ...metadata };
+    } else {
+      folder[fileName] = metadata ? { content: text, ...metadata } : text;
+    }
+  }
+
+  return { structure, skipped, verification: await verifyChecksums(contents, { skipped: skippedPaths }) };
+};